@@ -0,0 +1,447 @@
+/**
+ * Gargoyle - Headless Match Simulator
+ * Plays whole matches in Node (no window, DOM or WebGL) for balance testing.
+ * Builds the map from a seed, drives the target with the scripted TargetBot and
+ * steps the AI and physics at a fixed rate, then prints JSON results.
+ *
+ * Usage: node src/headless.js --seeds 20 --difficulty hard --freeze-delay 0.1 --ai chaseSpeed=7
+ *        node src/headless.js --archetype stalker
+ *        node src/headless.js --health
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { pathToFileURL } from 'node:url';
+import { getDifficultyPreset, DEFAULT_DIFFICULTY } from './utilities/difficulty.js';
+import meshRegistry from './registries/meshregistry.js';
+import playerRegistry from './registries/playerregistry.js';
+import physicsMeshers from './physics/physicsmeshers.js';
+import physicsMovements from './physics/physicsmovements.js';
+import gameMap from './world/map.js';
+import trophies from './world/trophies.js';
+import TargetPlayer from './players/targetplayer.js';
+import GargoylePlayer from './players/gargoyleplayer.js';
+import { getArchetype, rollArchetypes } from './players/archetypes.js';
+import computerPlayer from './players/computerplayer.js';
+import targetBot from './players/targetbot.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const SIM_CONFIG = {
+  seeds: 10,                // Matches to play
+  startSeed: 1,             // First map seed (then +1 per match)
+  duration: 300,            // Seconds before a match counts as a timeout
+  timeStep: 1 / 60,         // Fixed step for AI and physics
+  difficulty: DEFAULT_DIFFICULTY,
+  archetype: null,          // Make every gargoyle this archetype (null = the map's mix)
+  healthMode: false,        // Hits deal damage and knock back instead of catching outright
+  verbose: false            // Keep the game's console logging (on stderr)
+};
+
+// Same stats as the browser game (see main.js)
+const PLAYER_STATS = {
+  target: {
+    name: 'Bot',
+    height: 1.8,
+    radius: 0.4,
+    speed: 4,
+    jumpForce: 7,
+    fovAngle: 90,
+    fovDistance: 50
+  },
+  gargoyle: {
+    height: 2.0,
+    radius: 0.5,
+    speed: 5,
+    jumpForce: 10
+  }
+};
+
+const MatchOutcome = {
+  CAUGHT: 'caught',
+  WON: 'won',
+  TIMEOUT: 'timeout'
+};
+
+// ============================================
+// MATCH
+// ============================================
+
+/**
+ * Play one match on a seed
+ * @param {number} seed - Map seed
+ * @param {object} options - SIM_CONFIG overrides plus freezeDelay, unfreezeDelay,
+ *   visibilityThreshold, numGargoyles and ai (merged over the difficulty preset and archetype)
+ * @returns {Promise<object>} Match result
+ */
+export async function runMatch(seed, options = {}) {
+  const config = { ...SIM_CONFIG, ...options };
+  const preset = getDifficultyPreset(config.difficulty);
+  const step = config.timeStep;
+  
+  // Physics
+  await RAPIER.init();
+  const scene = new THREE.Scene();
+  const world = new RAPIER.World({ x: 0, y: 0, z: 0 });  // Custom gravity in physicsmovements.js
+  world.timestep = step;
+  
+  physicsMeshers.setWorld(world);
+  physicsMeshers.setScene(scene);
+  physicsMovements.init(world, RAPIER);
+  
+  // World
+  gameMap.init(scene, seed);
+  computerPlayer.setSeed(gameMap.deriveSeed('ai'));
+  computerPlayer.setNavGrid(gameMap.getNavGrid());
+  computerPlayer.setPatrolRoutes(gameMap.getPatrolRoutes());
+  computerPlayer.setDoorways(gameMap.getDoorways());
+  computerPlayer.resetPack();
+  const obstacles = gameMap.getObstacles();
+  
+  // Result
+  const result = {
+    seed: gameMap.getSeed(),
+    outcome: MatchOutcome.TIMEOUT,
+    time: 0,
+    catchTime: null,
+    trophies: { collected: 0, total: 0 },
+    distance: 0,              // Distance the target walked
+    closestGargoyle: Infinity,
+    freezes: 0,
+    blinks: { manual: 0, forced: 0 },
+    hits: 0,                  // Non-fatal hits taken (health mode)
+    archetypes: [],           // Archetype of each gargoyle
+    disguised: 0              // Gargoyles that started posed as statues
+  };
+  
+  // Target
+  const target = await createPlayer(TargetPlayer, {
+    ...PLAYER_STATS.target,
+    id: 'target',
+    ...(config.visibilityThreshold !== undefined && { visibilityThreshold: config.visibilityThreshold }),
+    healthMode: config.healthMode
+  }, scene, world);
+  const targetSpawn = gameMap.getSpawnPoint('target');
+  target.setPosition(targetSpawn.x, targetSpawn.y, targetSpawn.z);
+  target.setDoorways(gameMap.getDoorways());
+  target.onNoise = (position, loudness) => computerPlayer.emitNoise(position, loudness);
+  target.onBlink = (forced) => result.blinks[forced ? 'forced' : 'manual']++;
+  target.onHit = () => result.hits++;
+  target.onCaught = () => {
+    if (result.outcome !== MatchOutcome.TIMEOUT) return;
+    result.outcome = MatchOutcome.CAUGHT;
+    result.catchTime = result.time;
+    if (target.isAlive) target.die();
+  };
+  playerRegistry.register(target, { isLocal: true });
+  
+  targetBot.setNavGrid(gameMap.getNavGrid());
+  targetBot.setDoorways(gameMap.getDoorways());
+  targetBot.setPlayer(target);
+  
+  // Trophies
+  result.trophies.total = gameMap.spawnTrophies(target.position);
+  target.setTrophyGoal(result.trophies.total);
+  trophies.onCollect = (trophy, collected) => {
+    result.trophies.collected = collected;
+    target.collectTrophy();
+  };
+  trophies.onAllCollected = () => {
+    result.outcome = MatchOutcome.WON;
+  };
+  
+  // Gargoyles
+  const numGargoyles = config.numGargoyles ?? preset.numGargoyles;
+  const archetypes = config.archetype
+    ? new Array(numGargoyles).fill(config.archetype)
+    : rollArchetypes(numGargoyles, gameMap.deriveSeed('archetypes:0'));
+  result.archetypes = archetypes;
+  
+  // Some start posed among the statues
+  const disguises = gameMap.getDisguiseSpots(numGargoyles);
+  result.disguised = disguises.filter(Boolean).length;
+  
+  const gargoyles = [];
+  for (let i = 0; i < numGargoyles; i++) {
+    const archetype = getArchetype(archetypes[i]);
+    const gargoyle = await createPlayer(GargoylePlayer, {
+      ...PLAYER_STATS.gargoyle,
+      id: `gargoyle_${i + 1}`,
+      name: `Gargoyle_${i + 1}`,
+      freezeDelay: config.freezeDelay ?? preset.freezeDelay,
+      unfreezeDelay: config.unfreezeDelay ?? preset.unfreezeDelay,
+      attackRange: config.attackRange ?? preset.attackRange
+    }, scene, world);
+    
+    const spawn = disguises[i] || gameMap.getSpawnPoint('gargoyle', i);
+    gargoyle.setPosition(spawn.x, spawn.y, spawn.z);
+    if (disguises[i]) {
+      gargoyle.setRotation(disguises[i].rotation);
+      gargoyle.disguise();
+    }
+    gargoyle.targetPlayer = target;
+    gargoyle.applyArchetype(archetype);
+    physicsMovements.setProfile(gargoyle.id, physicsMovements.createProfile(gargoyle));
+    playerRegistry.register(gargoyle);
+    
+    computerPlayer.registerAgent(gargoyle, {
+      target,
+      config: {
+        ...preset.ai,
+        ...archetype.ai,
+        ...config.ai
+      },
+      behavior: archetype.behavior
+    });
+    
+    gargoyles.push(gargoyle);
+  }
+  computerPlayer.assignRoutes();
+  
+  // Play
+  const lastPosition = target.position.clone();
+  const wasFrozen = new Map(gargoyles.map(g => [g.id, false]));
+  
+  while (result.time < config.duration && result.outcome === MatchOutcome.TIMEOUT) {
+    stepMatch(world, step, result.time, target, gargoyles, obstacles);
+    result.time += step;
+    
+    result.distance += Math.hypot(target.position.x - lastPosition.x, target.position.z - lastPosition.z);
+    lastPosition.copy(target.position);
+    
+    for (const gargoyle of gargoyles) {
+      result.closestGargoyle = Math.min(result.closestGargoyle, gargoyle.position.distanceTo(target.position));
+      
+      if (gargoyle.isFrozen && !wasFrozen.get(gargoyle.id)) {
+        result.freezes++;
+      }
+      wasFrozen.set(gargoyle.id, gargoyle.isFrozen);
+    }
+  }
+  
+  result.time = round(result.time);
+  result.catchTime = result.catchTime !== null ? round(result.catchTime) : null;
+  result.distance = round(result.distance);
+  result.closestGargoyle = round(result.closestGargoyle);
+  
+  disposeMatch(world);
+  
+  return result;
+}
+
+/**
+ * Advance a match by one fixed step (mirrors the browser game loop)
+ * @param {RAPIER.World} world
+ * @param {number} step - Seconds
+ * @param {number} elapsedTime - Match clock
+ * @param {TargetPlayer} target
+ * @param {GargoylePlayer[]} gargoyles
+ * @param {THREE.Object3D[]} obstacles
+ */
+function stepMatch(world, step, elapsedTime, target, gargoyles, obstacles) {
+  // Decide
+  computerPlayer.update(step, obstacles);
+  targetBot.update(step, gargoyles, trophies.getUncollectedPositions());
+  
+  // Move
+  playerRegistry.storePhysicsStates();
+  
+  if (target.isAlive) {
+    physicsMovements.updatePlayer(target, targetBot.moveDirection, false, false, step);
+  }
+  
+  for (const gargoyle of gargoyles) {
+    if (gargoyle.isFrozen || !gargoyle.isAlive) continue;
+    
+    const moveDirection = new THREE.Vector3();
+    if (gargoyle.input.forward !== 0) {
+      moveDirection.set(
+        Math.sin(gargoyle.targetRotation) * gargoyle.input.forward,
+        0,
+        Math.cos(gargoyle.targetRotation) * gargoyle.input.forward
+      );
+    }
+    
+    physicsMovements.updatePlayer(gargoyle, moveDirection, gargoyle.input.jump, gargoyle.input.sprint, step);
+  }
+  
+  world.step();
+  playerRegistry.updateAll(step, 1);
+  trophies.update(step, elapsedTime);
+  
+  if (!target.isAlive) return;
+  
+  // Trophy pickup
+  trophies.checkCollection(target.position);
+  
+  // Freeze what the target sees, let the rest attack
+  target.updateVisibleGargoyles(gargoyles, obstacles);
+  
+  for (const gargoyle of gargoyles) {
+    gargoyle.setObserved(target.visibleGargoyles.has(gargoyle.id));
+    
+    if (!gargoyle.isFrozen && gargoyle.isAlive &&
+        gargoyle.position.distanceTo(target.position) < gargoyle.attackRange) {
+      gargoyle.attemptAttack();
+    }
+  }
+}
+
+/**
+ * Create a player with a placeholder body and register its movement
+ * Options carry an explicit id - the registry renames colliding ids (the default is
+ * time based), which would split the player from its movement state
+ * @param {function} PlayerClass
+ * @param {object} options
+ * @param {THREE.Scene} scene
+ * @param {RAPIER.World} world
+ * @returns {Promise<Player>}
+ */
+async function createPlayer(PlayerClass, options, scene, world) {
+  const player = new PlayerClass({ ...options, modelPath: null });
+  await player.init(scene, world, RAPIER);
+  physicsMovements.registerPlayer(player);
+  return player;
+}
+
+/**
+ * Tear down every registry so the next match starts clean
+ * @param {RAPIER.World} world
+ */
+function disposeMatch(world) {
+  for (const player of playerRegistry.getAll()) {
+    physicsMovements.unregisterPlayer(player.id);
+  }
+  
+  computerPlayer.clear();
+  playerRegistry.clear();
+  trophies.onCollect = null;
+  trophies.onAllCollected = null;
+  gameMap.dispose();
+  physicsMeshers.clearDebugMeshes();
+  meshRegistry.clear();
+  
+  world.free();
+}
+
+// ============================================
+// BATCH
+// ============================================
+
+/**
+ * Play a match on each of a run of seeds and summarize
+ * @param {object} options - SIM_CONFIG overrides (see runMatch)
+ * @returns {Promise<object>} { config, summary, matches }
+ */
+export async function runMatches(options = {}) {
+  const config = { ...SIM_CONFIG, ...options };
+  const matches = [];
+  
+  for (let i = 0; i < config.seeds; i++) {
+    const match = await runMatch(config.startSeed + i, config);
+    matches.push(match);
+    process.stderr.write(`seed ${match.seed}: ${match.outcome} at ${match.time}s (${match.trophies.collected}/${match.trophies.total} trophies)\n`);
+  }
+  
+  return { config, summary: summarize(matches), matches };
+}
+
+/**
+ * Aggregate match results
+ * @param {object[]} matches
+ * @returns {object}
+ */
+function summarize(matches) {
+  const count = (outcome) => matches.filter(m => m.outcome === outcome).length;
+  const average = (values) => values.length > 0 ? round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+  
+  const caught = matches.filter(m => m.outcome === MatchOutcome.CAUGHT);
+  
+  return {
+    matches: matches.length,
+    caught: caught.length,
+    won: count(MatchOutcome.WON),
+    timeout: count(MatchOutcome.TIMEOUT),
+    catchRate: matches.length > 0 ? round(caught.length / matches.length) : null,
+    averageCatchTime: average(caught.map(m => m.catchTime)),
+    averageTrophyFraction: average(matches.map(m => m.trophies.total > 0 ? m.trophies.collected / m.trophies.total : 0)),
+    averageDistance: average(matches.map(m => m.distance)),
+    averageFreezes: average(matches.map(m => m.freezes))
+  };
+}
+
+/**
+ * Round to 2 decimals for readable JSON
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+
+/**
+ * Parse command line flags into runMatches options
+ * @param {string[]} args
+ * @returns {object}
+ */
+function parseArgs(args) {
+  const options = { ai: {} };
+  
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i];
+    const value = args[i + 1];
+    
+    switch (flag) {
+      case '--seeds': options.seeds = Number(value); i++; break;
+      case '--start': options.startSeed = Number(value); i++; break;
+      case '--duration': options.duration = Number(value); i++; break;
+      case '--difficulty': options.difficulty = value; i++; break;
+      case '--archetype': options.archetype = value; i++; break;
+      case '--health': options.healthMode = true; break;
+      case '--gargoyles': options.numGargoyles = Number(value); i++; break;
+      case '--freeze-delay': options.freezeDelay = Number(value); i++; break;
+      case '--unfreeze-delay': options.unfreezeDelay = Number(value); i++; break;
+      case '--visibility-threshold': options.visibilityThreshold = Number(value); i++; break;
+      case '--attack-range': options.attackRange = Number(value); i++; break;
+      case '--ai': {
+        // --ai key=value, any AI_CONFIG field
+        const [key, aiValue] = value.split('=');
+        options.ai[key] = Number(aiValue);
+        i++;
+        break;
+      }
+      case '--verbose': options.verbose = true; break;
+      default:
+        console.warn(`Unknown flag: ${flag}`);
+    }
+  }
+  
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  // The game logs freely - keep stdout for the JSON
+  if (options.verbose) {
+    console.log = console.error;
+  } else {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+  
+  const results = await runMatches(options);
+  process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -11,15 +11,18 @@ import controls from './utilities/controls.js';
 import gameCamera, { CameraMode } from './utilities/camera.js';
 import menu, { MenuState } from './utilities/menu.js';
 import hud from './utilities/hud.js';
+import { getDifficultyPreset } from './utilities/difficulty.js';
 import meshRegistry, { MeshCategory } from './registries/meshregistry.js';
 import playerRegistry from './registries/playerregistry.js';
 import physicsMeshers from './physics/physicsmeshers.js';
 import physicsMovements from './physics/physicsmovements.js';
 import gameMap from './world/map.js';
+import trophies from './world/trophies.js';
 import { PlayerType } from './players/player.js';
 import TargetPlayer from './players/targetplayer.js';
 import GargoylePlayer from './players/gargoyleplayer.js';
-import computerPlayer from './players/computerplayer.js';
+import { getArchetype, rollArchetypes } from './players/archetypes.js';
+import computerPlayer, { Maneuver, PackRole, Stealth } from './players/computerplayer.js';
 
 // ============================================
 // GAME STATES
@@ -48,12 +51,16 @@ const GAME = {
   isRunning: false,
   state: GameState.LOADING,
   startTime: 0,
+  round: 0,                // Rounds played (each rolls a new gargoyle mix)
   
   // Obstacle meshes for line-of-sight checks
   obstacles: [],
   
   // Dev mode (skip menu)
-  devMode: false
+  devMode: false,
+  
+  // Master map seed (from ?seed= or random)
+  seed: null
 };
 
 // ============================================
@@ -77,9 +84,6 @@ const CONFIG = {
   },
   physics: {
     gravity: { x: 0, y: 0, z: 0 }  // Custom gravity in physicsmovements.js
-  },
-  game: {
-    numGargoyles: 3
   }
 };
 
@@ -87,14 +91,19 @@ const CONFIG = {
 // GAME STATE FUNCTIONS
 // ============================================
 
-function startGame() {
+async function startGame() {
+  // Lock while still inside the click that started the game
+  GAME.renderer.domElement.requestPointerLock();
+  
+  GAME.round++;
+  await applyDifficulty();
+  
   GAME.state = GameState.PLAYING;
   GAME.startTime = chronograph.elapsedTime;
   
   resetGame();
   hud.show();
   
-  GAME.renderer.domElement.requestPointerLock();
   console.log('Game started!');
 }
 
@@ -119,24 +128,71 @@ function resetGame() {
   // Reset player
   const localPlayer = playerRegistry.getLocalPlayer();
   if (localPlayer) {
-    localPlayer.respawn(new THREE.Vector3(0, 1, 0));
+    const spawn = gameMap.getSpawnPoint('target');
+    localPlayer.respawn(new THREE.Vector3(spawn.x, spawn.y, spawn.z));
+    hud.updateBlink(localPlayer.blinkMeter, localPlayer.isBlinking);
   }
   
-  // Reset gargoyles
+  // Fresh set of trophies for this round
+  resetTrophies();
+  
+  // Replay the same AI decisions each round for this seed
+  computerPlayer.setSeed(gameMap.deriveSeed('ai'));
+  computerPlayer.resetPack();
+  
+  // Reset gargoyles - some start the round posed among the statues
   const gargoyles = playerRegistry.getGargoyles();
+  const disguises = gameMap.getDisguiseSpots(gargoyles.length, GAME.round);
   gargoyles.forEach((gargoyle, i) => {
-    const spawn = gameMap.getSpawnPoint('gargoyle', i);
+    const spawn = disguises[i] || gameMap.getSpawnPoint('gargoyle', i);
     gargoyle.respawn(new THREE.Vector3(spawn.x, spawn.y, spawn.z));
     gargoyle.isFrozen = false;
     gargoyle.isBeingObserved = false;
     gargoyle.applyFrozenVisual(false);
     
+    if (disguises[i]) {
+      gargoyle.setRotation(disguises[i].rotation);
+      gargoyle.disguise();
+    }
+    
     const agent = computerPlayer.agents.get(gargoyle.id);
     if (agent) {
-      agent.spawnPosition.copy(gargoyle.position);
-      agent.state = 'patrol';
+      computerPlayer.resetAgent(agent);
     }
   });
+  
+  computerPlayer.assignRoutes();
+}
+
+function resetTrophies() {
+  const localPlayer = playerRegistry.getLocalPlayer();
+  const total = gameMap.spawnTrophies(localPlayer ? localPlayer.position : null);
+  
+  if (localPlayer) {
+    localPlayer.setTrophyGoal(total);
+  }
+  
+  hud.updateTrophies(0, total);
+}
+
+function onWin() {
+  if (GAME.state !== GameState.PLAYING) return;
+  
+  GAME.state = GameState.WON;
+  document.exitPointerLock();
+  hud.setWarning(false);
+  
+  const stats = {
+    time: chronograph.getFormattedTime(chronograph.elapsedTime - GAME.startTime),
+    trophies: trophies.getProgressString(),
+    gargoyles: playerRegistry.getGargoyles().length
+  };
+  
+  setTimeout(() => {
+    menu.showWin(stats);
+  }, 500);
+  
+  console.log('GAME WON!');
 }
 
 function onLose() {
@@ -144,6 +200,12 @@ function onLose() {
   document.exitPointerLock();
   hud.flashDamage();
   
+  // Caught mid-blink: open the eyes so the game over screen isn't blacked out
+  const localPlayer = playerRegistry.getLocalPlayer();
+  if (localPlayer) {
+    hud.updateBlink(localPlayer.blinkMeter, false);
+  }
+  
   setTimeout(() => {
     menu.showGameOver();
   }, 500);
@@ -151,7 +213,12 @@ function onLose() {
   console.log('GAME LOST!');
 }
 
-function restartGame() {
+async function restartGame() {
+  GAME.renderer.domElement.requestPointerLock();
+  
+  GAME.round++;
+  await applyDifficulty();
+  
   GAME.state = GameState.PLAYING;
   GAME.startTime = chronograph.elapsedTime;
   
@@ -162,16 +229,66 @@ function restartGame() {
   }
   
   hud.show();
-  GAME.renderer.domElement.requestPointerLock();
   console.log('Game restarted');
 }
 
+/**
+ * Apply the selected difficulty preset: gargoyle count, freeze timing,
+ * attack range and AI tuning - plus this round's mix of archetypes
+ */
+async function applyDifficulty() {
+  const preset = getDifficultyPreset(menu.getSettings().difficulty);
+  
+  // Match the gargoyle count
+  let gargoyles = playerRegistry.getGargoyles();
+  while (gargoyles.length > preset.numGargoyles) {
+    removeGargoyle(gargoyles[gargoyles.length - 1]);
+    gargoyles = playerRegistry.getGargoyles();
+  }
+  while (gargoyles.length < preset.numGargoyles) {
+    await createGargoyle(gargoyles.length);
+    gargoyles = playerRegistry.getGargoyles();
+  }
+  
+  // Each round gets its own mix of archetypes
+  const archetypes = rollArchetypes(gargoyles.length, gameMap.deriveSeed(`archetypes:${GAME.round}`));
+  
+  gargoyles.forEach((gargoyle, i) => {
+    const archetype = getArchetype(archetypes[i]);
+    
+    gargoyle.freezeDelay = preset.freezeDelay;
+    gargoyle.unfreezeDelay = preset.unfreezeDelay;
+    gargoyle.attackRange = preset.attackRange;
+    gargoyle.applyArchetype(archetype);
+    physicsMovements.setProfile(gargoyle.id, physicsMovements.createProfile(gargoyle));
+    
+    computerPlayer.resetAgentConfig(gargoyle.id, { ...preset.ai, ...archetype.ai });
+    computerPlayer.setAgentBehavior(gargoyle.id, archetype.behavior);
+  });
+  
+  console.log(`Difficulty: ${preset.label} (${archetypes.map(id => getArchetype(id).label).join(', ')})`);
+}
+
 function goToMainMenu() {
   GAME.state = GameState.MENU;
   document.exitPointerLock();
   menu.show(MenuState.MAIN);
 }
 
+/**
+ * Run an async round start and fall back to the main menu if it fails
+ * @param {Function} start - startGame or restartGame
+ */
+function launchRound(start) {
+  start().catch((error) => {
+    console.error('Failed to start round:', error);
+    if (!GAME.devMode) {
+      hud.hide();
+    }
+    goToMainMenu();
+  });
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -245,6 +362,7 @@ async function initPhysics() {
   
   GAME.physics.RAPIER = RAPIER;
   GAME.physics.world = new RAPIER.World(CONFIG.physics.gravity);
+  GAME.physics.world.timestep = chronograph.fixedTimeStep;
   GAME.physics.initialized = true;
   
   physicsMeshers.setWorld(GAME.physics.world);
@@ -277,6 +395,14 @@ function initControls() {
           gameCamera.toggleFreeCamera();
         }
         break;
+      case 'blink':
+        if (GAME.state === GameState.PLAYING) {
+          const localPlayer = playerRegistry.getLocalPlayer();
+          if (localPlayer && localPlayer.blink) {
+            localPlayer.blink();
+          }
+        }
+        break;
       case 'resetPosition':
         if (GAME.state === GameState.PLAYING) {
           const localPlayer = playerRegistry.getLocalPlayer();
@@ -299,10 +425,11 @@ function initControls() {
 
 function initMenu() {
   menu.init({ devMode: GAME.devMode });
+  menu.setSeed(GAME.seed);
   
-  menu.onPlay = startGame;
+  menu.onPlay = () => launchRound(startGame);
   menu.onResume = resumeGame;
-  menu.onRestart = restartGame;
+  menu.onRestart = () => launchRound(restartGame);
   menu.onPause = pauseGame;
   
   menu.onSettingsChange = (key, value) => {
@@ -316,12 +443,40 @@ function initMenu() {
       case 'showDebug':
         hud.setConfig('showDebug', value);
         break;
+      case 'healthMode': {
+        const localPlayer = playerRegistry.getLocalPlayer();
+        if (localPlayer && localPlayer.setHealthMode) {
+          localPlayer.setHealthMode(value);
+        }
+        break;
+      }
+      case 'observationMode': {
+        const localPlayer = playerRegistry.getLocalPlayer();
+        if (localPlayer && localPlayer.setObservationMode) {
+          localPlayer.setObservationMode(value);
+        }
+        break;
+      }
     }
   };
   
   console.log('Menu initialized');
 }
 
+function initTrophies() {
+  trophies.onCollect = (trophy, collected, total) => {
+    const localPlayer = playerRegistry.getLocalPlayer();
+    if (localPlayer) {
+      localPlayer.collectTrophy();
+    }
+    hud.updateTrophies(collected, total);
+  };
+  
+  trophies.onAllCollected = onWin;
+  
+  console.log('Trophies initialized');
+}
+
 function initHUD() {
   const settings = menu.getSettings();
   
@@ -344,7 +499,12 @@ function initCamera() {
 }
 
 function initWorld() {
-  gameMap.init(GAME.scene);
+  gameMap.init(GAME.scene, GAME.seed);
+  GAME.seed = gameMap.getSeed();
+  computerPlayer.setSeed(gameMap.deriveSeed('ai'));
+  computerPlayer.setNavGrid(gameMap.getNavGrid());
+  computerPlayer.setPatrolRoutes(gameMap.getPatrolRoutes());
+  computerPlayer.setDoorways(gameMap.getDoorways());
   
   // Get building meshes as obstacles for line-of-sight checks
   GAME.obstacles = gameMap.getObstacles();
@@ -362,7 +522,9 @@ async function createLocalPlayer() {
     speed: 4,
     jumpForce: 7,
     fovAngle: 90,
-    fovDistance: 50
+    fovDistance: 50,
+    observationMode: menu.getSettings().observationMode,
+    healthMode: menu.getSettings().healthMode
   });
   
   await player.init(GAME.scene, GAME.physics.world, GAME.physics.RAPIER);
@@ -371,7 +533,10 @@ async function createLocalPlayer() {
   player.setPosition(spawn.x, spawn.y, spawn.z);
   
   player.setCamera(GAME.camera);
+  player.setDoorways(gameMap.getDoorways());
   player.onCaught = onLose;
+  player.onHit = () => hud.flashDamage();
+  player.onNoise = (position, loudness) => computerPlayer.emitNoise(position, loudness);
   
   playerRegistry.register(player, { isLocal: true });
   physicsMovements.registerPlayer(player);
@@ -384,39 +549,11 @@ async function createLocalPlayer() {
 }
 
 async function createGargoyles() {
+  const preset = getDifficultyPreset(menu.getSettings().difficulty);
   const gargoyles = [];
-  const targetPlayer = playerRegistry.getTargetPlayer();
   
-  for (let i = 0; i < CONFIG.game.numGargoyles; i++) {
-    const gargoyle = new GargoylePlayer({
-      name: `Gargoyle_${i + 1}`,
-      modelPath: '/GladpolyE.glb',
-      height: 2.0,
-      radius: 0.5,
-      speed: 5,
-      jumpForce: 10
-    });
-    
-    await gargoyle.init(GAME.scene, GAME.physics.world, GAME.physics.RAPIER);
-    
-    const spawn = gameMap.getSpawnPoint('gargoyle', i);
-    gargoyle.setPosition(spawn.x, spawn.y, spawn.z);
-    
-    gargoyle.targetPlayer = targetPlayer;
-    
-    playerRegistry.register(gargoyle);
-    physicsMovements.registerPlayer(gargoyle);
-    
-    computerPlayer.registerAgent(gargoyle, {
-      target: targetPlayer,
-      config: {
-        sightRange: 80,
-        patrolRadius: 40,
-        chaseSpeed: 7
-      }
-    });
-    
-    gargoyles.push(gargoyle);
+  for (let i = 0; i < preset.numGargoyles; i++) {
+    gargoyles.push(await createGargoyle(i));
   }
   
   console.log(`Created ${gargoyles.length} AI-controlled gargoyles`);
@@ -425,6 +562,58 @@ async function createGargoyles() {
   return gargoyles;
 }
 
+async function createGargoyle(index) {
+  const preset = getDifficultyPreset(menu.getSettings().difficulty);
+  const targetPlayer = playerRegistry.getTargetPlayer();
+  
+  const gargoyle = new GargoylePlayer({
+    name: `Gargoyle_${index + 1}`,
+    modelPath: '/GladpolyE.glb',
+    height: 2.0,
+    radius: 0.5,
+    speed: 5,
+    jumpForce: 10,
+    freezeDelay: preset.freezeDelay,
+    unfreezeDelay: preset.unfreezeDelay,
+    attackRange: preset.attackRange
+  });
+  
+  await gargoyle.init(GAME.scene, GAME.physics.world, GAME.physics.RAPIER);
+  
+  const spawn = gameMap.getSpawnPoint('gargoyle', index);
+  gargoyle.setPosition(spawn.x, spawn.y, spawn.z);
+  
+  gargoyle.targetPlayer = targetPlayer;
+  
+  playerRegistry.register(gargoyle);
+  physicsMovements.registerPlayer(gargoyle);
+  
+  computerPlayer.registerAgent(gargoyle, {
+    target: targetPlayer,
+    config: {
+      ...preset.ai
+    }
+  });
+  
+  return gargoyle;
+}
+
+function removeGargoyle(gargoyle) {
+  computerPlayer.unregisterAgent(gargoyle.id);
+  physicsMovements.unregisterPlayer(gargoyle.id);
+  playerRegistry.unregister(gargoyle.id);
+  
+  if (gargoyle.physicsBody) {
+    GAME.physics.world.removeRigidBody(gargoyle.physicsBody);
+  }
+  
+  const debugIndex = physicsMeshers.debugMeshes.indexOf(gargoyle.debugCapsule);
+  if (debugIndex >= 0) {
+    physicsMeshers.debugMeshes.splice(debugIndex, 1);
+  }
+  gargoyle.dispose();
+}
+
 // ============================================
 // GAME LOOP
 // ============================================
@@ -438,21 +627,37 @@ function gameLoop() {
   const dt = chronograph.deltaTime;
   
   if (GAME.state === GameState.PLAYING && GAME.physics.initialized) {
-    updateLocalPlayerMovement(dt);
-    updateAIMovement(dt);
-    GAME.physics.world.step();
+    // AI decides once per frame, movement is applied every fixed step
+    computerPlayer.update(dt, GAME.obstacles);
+    
+    while (chronograph.shouldUpdatePhysics()) {
+      stepPhysics(chronograph.fixedTimeStep);
+    }
+  } else {
+    // No physics steps to blend between - don't let the time pile up
+    chronograph.resetAccumulator();
   }
   
   update(dt);
   render();
 }
 
+function stepPhysics(step) {
+  playerRegistry.storePhysicsStates();
+  
+  updateLocalPlayerMovement(step);
+  updateAIMovement(step);
+  GAME.physics.world.step();
+}
+
 function updateLocalPlayerMovement(dt) {
   const localPlayer = playerRegistry.getLocalPlayer();
   const isFreeCam = gameCamera.isFreeCam();
   
   if (!localPlayer || isFreeCam || !controls.mouse.locked) return;
   
+  localPlayer.input.crouch = controls.movement.crouch;
+  
   const moveDirection = new THREE.Vector3();
   if (controls.movement.forward !== 0 || controls.movement.right !== 0) {
     const camForward = gameCamera.getForwardDirection();
@@ -472,19 +677,18 @@ function updateLocalPlayerMovement(dt) {
 }
 
 function updateAIMovement(dt) {
-  computerPlayer.update(dt, GAME.obstacles);
-  
   const gargoyles = playerRegistry.getGargoyles();
   for (const gargoyle of gargoyles) {
     if (gargoyle.isFrozen || !gargoyle.isAlive) continue;
     
+    // Magnitude of input.forward scales speed within the movement profile
     const moveDirection = new THREE.Vector3();
     if (gargoyle.input.forward !== 0) {
       moveDirection.set(
         Math.sin(gargoyle.targetRotation) * gargoyle.input.forward,
         0,
         Math.cos(gargoyle.targetRotation) * gargoyle.input.forward
-      ).normalize();
+      );
     }
     
     physicsMovements.updatePlayer(
@@ -507,9 +711,18 @@ function update(dt) {
   }
   
   // Sync player visuals from physics
-  playerRegistry.updateAll(dt);
+  playerRegistry.updateAll(dt, chronograph.getInterpolationAlpha());
+  
+  // Animate trophies
+  trophies.update(dt, chronograph.elapsedTime);
+  
+  const localPlayer = playerRegistry.getLocalPlayer();
+  
+  // Camera follows player (eyes drop with a crouch)
+  if (localPlayer) {
+    gameCamera.setEyeScale(localPlayer.height / localPlayer.standingHeight);
+  }
   
-  // Camera follows player
   const mouseDelta = controls.getMouseDelta();
   gameCamera.handleMouseInput(mouseDelta.x, mouseDelta.y);
   gameCamera.update(dt, controls.movement);
@@ -517,7 +730,10 @@ function update(dt) {
   const isFreeCam = gameCamera.isFreeCam();
   hud.setCameraMode(isFreeCam);
   
-  const localPlayer = playerRegistry.getLocalPlayer();
+  // Trophy pickup
+  if (localPlayer && localPlayer.isAlive) {
+    trophies.checkCollection(localPlayer.position);
+  }
   
   if (localPlayer && controls.mouse.locked && !isFreeCam) {
     // Update FOV detection
@@ -551,6 +767,9 @@ function update(dt) {
     } else {
       hud.setCrosshairStyle('default');
     }
+    
+    hud.updateBlink(localPlayer.blinkMeter, localPlayer.isBlinking);
+    hud.updateHealth(localPlayer.health, localPlayer.maxHealth, localPlayer.healthMode);
   }
   
   // Debug info
@@ -578,17 +797,26 @@ function update(dt) {
       'Ground Hit': movementInfo?.groundHitDist || 'N/A',
       'Velocity': movementInfo?.velocity || 'N/A',
       'Speed': movementInfo?.speed || 'N/A',
+      'Profile': movementInfo?.profile || 'N/A',
       'Grounded': movementInfo?.grounded ?? localPlayer?.isGrounded,
       'State': localPlayer?.state,
       'Height': localPlayer?.height?.toFixed(2) || 'N/A',
       'Radius': localPlayer?.radius?.toFixed(2) || 'N/A',
+      'Observation': localPlayer?.fov?.mode || 'N/A',
+      'Freeze Threshold': localPlayer?.fov ? `${Math.round(localPlayer.fov.threshold * 100)}% visible` : 'N/A',
       'Gargoyles Frozen': allGargoyles.filter(g => g.isFrozen).length + '/' + allGargoyles.length
     };
     
     for (const gargoyle of allGargoyles) {
       const aiInfo = computerPlayer.getDebugInfo(gargoyle.id);
       if (aiInfo) {
-        debugInfo[gargoyle.name] = `${aiInfo.state}${gargoyle.isFrozen ? ' [FROZEN]' : ''}`;
+        const maneuver = aiInfo.maneuver !== Maneuver.NONE ? ` (${aiInfo.maneuver})` : '';
+        const awareness = `${Math.round(aiInfo.awareness * 100)}%`;
+        const role = aiInfo.role !== PackRole.NONE ? ` <${aiInfo.role}>` : '';
+        const stealth = aiInfo.stealth !== Stealth.NONE ? ` ${aiInfo.stealth}` : '';
+        const seen = localPlayer?.gargoyleVisibility?.get(gargoyle.id) ?? 0;
+        const visibility = seen > 0 ? ` seen ${Math.round(seen * 100)}%` : '';
+        debugInfo[`${gargoyle.name} (${gargoyle.archetype})`] = `${aiInfo.state}${role}${maneuver}${stealth} ${awareness}${visibility}${gargoyle.isFrozen ? ' [FROZEN]' : ''}`;
       }
     }
     
@@ -623,6 +851,9 @@ async function init() {
   const urlParams = new URLSearchParams(window.location.search);
   GAME.devMode = urlParams.has('dev');
   
+  const seedParam = Number.parseInt(urlParams.get('seed'), 10);
+  GAME.seed = Number.isFinite(seedParam) ? seedParam : null;
+  
   initThreeJS();
   initLighting();
   await initPhysics();
@@ -630,14 +861,28 @@ async function init() {
   initCamera();
   initWorld();
   
+  // The map reduces out-of-range seeds - keep the URL on the seed actually played
+  if (Number.isFinite(seedParam) && seedParam !== GAME.seed) {
+    console.warn(`Seed ${seedParam} is out of range, playing seed ${GAME.seed}`);
+    urlParams.set('seed', GAME.seed);
+    window.history.replaceState(null, '', `${window.location.pathname}?${urlParams}${window.location.hash}`);
+  }
+  
+  await gameMap.loadStatueModel('/GladpolyE.glb');
+  
   await createLocalPlayer();
   await createGargoyles();
   
   initMenu();
   initHUD();
+  initTrophies();
   
   if (GAME.devMode) {
+    GAME.round++;
+    await applyDifficulty();
+    
     GAME.state = GameState.PLAYING;
+    resetTrophies();
     hud.show();
     console.log('DEV MODE: Skipping menu');
   } else {
@@ -651,6 +896,7 @@ async function init() {
   console.log('        GARGOYLE - Ready!               ');
   console.log('=========================================');
   console.log('TIP: Add ?dev to URL to skip menu');
+  console.log(`TIP: Add ?seed=${GAME.seed} to URL to replay this map`);
 }
 
 init().catch(console.error);
@@ -667,4 +913,5 @@ window.playerRegistry = playerRegistry;
 window.physicsMovements = physicsMovements;
 window.computerPlayer = computerPlayer;
 window.gameMap = gameMap;
-window.restartGame = restartGame;
\ No newline at end of file
+window.trophies = trophies;
+window.restartGame = () => launchRound(restartGame);
\ No newline at end of file
@@ -12,10 +12,11 @@ import * as THREE from 'three';
 // ============================================================================
 
 const PARAMS = {
-  // Movement
+  // Movement (defaults - each player's profile overrides these)
   speed: 5,               // Walk speed (units/sec)
   sprintSpeed: 9,         // Sprint speed
   airSpeed: 3,            // Speed while in air
+  crouchMultiplier: 0.5,  // Crouch speed as a fraction of walk speed
   
   // Smoothing
   acceleration: 25,       // How fast you reach target speed
@@ -23,12 +24,26 @@ const PARAMS = {
   airControl: 0.3,        // Air control multiplier (0-1)
   
   // Jumping
-  jumpForce: 8,           // Initial jump velocity
+  jumpForce: 8,           // Initial jump velocity (default - see profiles)
   gravity: 30,            // Gravity strength
   
   // Ground detection
   groundCheckDist: 0.3,   // How far to raycast for ground
   
+  // Crouching
+  headroomMargin: 0.05,   // Extra clearance needed above the head to stand up
+  
+  // Climbing
+  climbGrip: 0.5,         // Min input toward wall to latch on (dot product)
+  climbRelease: -0.5,     // Input away from wall below this lets go
+  climbStick: 1,          // Velocity pressing climber into the wall
+  climbPushOff: 4,        // Horizontal push when jumping off a wall
+  mantleHeight: 0.5,      // How far above the head to look for a ledge
+  
+  // Gliding
+  glideSteer: 2,          // How fast glide heading follows input
+  glideBrake: 4,          // How fast a fast fall slows to glide fall speed
+  
   // Rotation
   turnSpeed: 10,          // How fast player turns to face movement
 };
@@ -56,14 +71,62 @@ class PhysicsMovements {
     console.log('[Movement] Initialized');
   }
   
-  registerPlayer(player) {
+  /**
+   * Register a player with a movement profile
+   * Profile defaults come from the player's own stats (speed, sprintMultiplier, jumpForce)
+   * @param {Player} player
+   * @param {object} profile - { speed, sprintSpeed, airSpeed, crouchSpeed, jumpForce } overrides
+   */
+  registerPlayer(player, profile = {}) {
     this.players.set(player.id, {
       velocity: new THREE.Vector3(),
       isGrounded: false,
       canJump: true,
+      knockbackTimer: 0,        // Seconds left with no ground friction or steering
+      profile: { ...this.createProfile(player), ...profile },
     });
   }
   
+  /**
+   * Build a movement profile from a player's stats
+   * @param {Player} player
+   * @returns {object}
+   */
+  createProfile(player) {
+    const speed = player.speed ?? PARAMS.speed;
+    return {
+      speed,
+      sprintSpeed: speed * (player.sprintMultiplier ?? PARAMS.sprintSpeed / PARAMS.speed),
+      airSpeed: PARAMS.airSpeed,
+      crouchSpeed: speed * PARAMS.crouchMultiplier,
+      jumpForce: player.jumpForce ?? PARAMS.jumpForce,
+      climbSpeed: player.climbSpeed ?? 0,
+      glideSpeed: player.glideSpeed ?? 0,
+      glideFallSpeed: player.glideFallSpeed ?? 0,
+    };
+  }
+  
+  /**
+   * Change a player's movement profile at runtime
+   * @param {string} playerId
+   * @param {object} profile - Partial { speed, sprintSpeed, airSpeed, jumpForce }
+   */
+  setProfile(playerId, profile) {
+    const state = this.players.get(playerId);
+    if (!state) return;
+    Object.assign(state.profile, profile);
+  }
+  
+  /**
+   * Get a player's movement profile
+   * @param {string} playerId
+   * @returns {object|null}
+   */
+  getProfile(playerId) {
+    const state = this.players.get(playerId);
+    return state ? { ...state.profile } : null;
+  }
+  
   unregisterPlayer(playerId) {
     this.players.delete(playerId);
   }
@@ -107,6 +170,48 @@ class PhysicsMovements {
     return hit !== null;
   }
   
+  // ==========================================================================
+  // CROUCHING - Shrink the capsule, stand up only with headroom
+  // ==========================================================================
+  
+  /**
+   * Crouch or stand up as wanted, staying down under a low ceiling
+   * @param {Player} player
+   * @param {boolean} wantCrouch
+   */
+  updateCrouch(player, wantCrouch) {
+    if (!player.setCrouching || wantCrouch === player.isCrouching) return;
+    
+    if (!wantCrouch && !this.hasHeadroom(player)) return;
+    
+    player.setCrouching(wantCrouch);
+  }
+  
+  /**
+   * Check there is room above a crouching player to stand up
+   * Rays up from the capsule center and around its rim
+   * @param {Player} player
+   * @returns {boolean}
+   */
+  hasHeadroom(player) {
+    if (!this.world || !player.physicsBody) return true;
+    
+    const pos = player.physicsBody.translation();
+    const rise = player.standingHeight - player.height;
+    const maxDist = player.height / 2 + rise + PARAMS.headroomMargin;
+    const rim = player.radius * 0.7;
+    
+    const offsets = [[0, 0], [rim, 0], [-rim, 0], [0, rim], [0, -rim]];
+    
+    for (const [x, z] of offsets) {
+      const ray = new this.RAPIER.Ray({ x: pos.x + x, y: pos.y, z: pos.z + z }, { x: 0, y: 1, z: 0 });
+      const hit = this.world.castRay(ray, maxDist, true, undefined, undefined, player.collider);
+      if (hit !== null) return false;
+    }
+    
+    return true;
+  }
+  
   // ==========================================================================
   // MAIN UPDATE - Called each physics step
   // ==========================================================================
@@ -121,6 +226,21 @@ class PhysicsMovements {
     state.isGrounded = this.checkGrounded(player);
     player.isGrounded = state.isGrounded;
     
+    // --- Crouch ---
+    this.updateCrouch(player, player.input.crouch);
+    
+    const profile = state.profile;
+    
+    // --- Climbing (gargoyles) ---
+    if (player.abilities && profile.climbSpeed > 0) {
+      if (this.updateClimbing(player, state, moveDirection, wantJump, dt)) return;
+    }
+    
+    // --- Gliding (gargoyles) ---
+    if (player.abilities && profile.glideSpeed > 0) {
+      if (this.updateGliding(player, state, moveDirection, dt)) return;
+    }
+    
     // --- Get Current Velocity ---
     const linvel = player.physicsBody.linvel();
     let velX = linvel.x;
@@ -131,11 +251,12 @@ class PhysicsMovements {
     const hasInput = moveDirection.lengthSq() > 0.001;
     
     // Choose speed based on state
-    let targetSpeed = PARAMS.speed;
-    if (wantSprint && state.isGrounded) targetSpeed = PARAMS.sprintSpeed;
-    if (!state.isGrounded) targetSpeed = PARAMS.airSpeed;
+    let targetSpeed = profile.speed;
+    if (wantSprint && state.isGrounded) targetSpeed = profile.sprintSpeed;
+    if (player.isCrouching) targetSpeed = profile.crouchSpeed;
+    if (!state.isGrounded) targetSpeed = profile.airSpeed;
     
-    // Target velocity
+    // Target velocity (input magnitude below 1 means partial speed)
     const targetVelX = hasInput ? moveDirection.x * targetSpeed : 0;
     const targetVelZ = hasInput ? moveDirection.z * targetSpeed : 0;
     
@@ -143,7 +264,10 @@ class PhysicsMovements {
     const accelRate = state.isGrounded ? PARAMS.acceleration : PARAMS.acceleration * PARAMS.airControl;
     const decelRate = state.isGrounded ? PARAMS.deceleration : PARAMS.deceleration * PARAMS.airControl;
     
-    if (hasInput) {
+    if (state.knockbackTimer > 0) {
+      // Reeling from a hit - let the shove carry
+      state.knockbackTimer = Math.max(0, state.knockbackTimer - dt);
+    } else if (hasInput) {
       velX = this.lerp(velX, targetVelX, accelRate * dt);
       velZ = this.lerp(velZ, targetVelZ, accelRate * dt);
     } else {
@@ -171,8 +295,8 @@ class PhysicsMovements {
       // If velY > 0, player is jumping, don't interfere
       
       // Jump
-      if (wantJump && state.canJump) {
-        velY = PARAMS.jumpForce;
+      if (wantJump && state.canJump && !player.isCrouching) {
+        velY = profile.jumpForce;
         state.canJump = false;
       }
     } else {
@@ -201,6 +325,203 @@ class PhysicsMovements {
     state.velocity.set(velX, velY, velZ);
   }
   
+  // ==========================================================================
+  // CLIMBING - Move along steep walls
+  // ==========================================================================
+  
+  /**
+   * Latch onto, move along, mantle over or let go of walls
+   * @returns {boolean} True if climbing handled movement this step
+   */
+  updateClimbing(player, state, moveDirection, wantJump, dt) {
+    const profile = state.profile;
+    const hasInput = moveDirection.lengthSq() > 0.001;
+    
+    // --- Not climbing: try to latch on ---
+    if (!player.isClimbing) {
+      if (!player.abilities.climb || !hasInput || player.isFrozen || player.stamina <= 0) return false;
+      
+      const surface = player.checkClimbSurface(this.world, this.RAPIER);
+      if (!surface) return false;
+      
+      // Only grab walls we're moving into
+      const into = -(moveDirection.x * surface.normal.x + moveDirection.z * surface.normal.z);
+      if (into < PARAMS.climbGrip) return false;
+      
+      player.startClimbing(surface);
+      if (!player.isClimbing) return false;
+      state.canJump = !wantJump;
+    }
+    
+    const normal = player.climbNormal;
+    
+    // --- Let go: ability released, jumped off, or pulling away ---
+    const into = -(moveDirection.x * normal.x + moveDirection.z * normal.z);
+    const jumpOff = wantJump && state.canJump;
+    
+    if (!player.abilities.climb || jumpOff || (hasInput && into < PARAMS.climbRelease)) {
+      player.stopClimbing();
+      
+      if (jumpOff) {
+        player.physicsBody.setLinvel({
+          x: normal.x * PARAMS.climbPushOff,
+          y: profile.jumpForce * 0.75,
+          z: normal.z * PARAMS.climbPushOff
+        }, true);
+        state.canJump = false;
+        state.velocity.copy(player.physicsBody.linvel());
+        return true;
+      }
+      return false;
+    }
+    
+    if (!wantJump) state.canJump = true;
+    
+    // --- Still on the wall? If not, mantle over the top (only when climbing up) ---
+    const surface = player.checkClimbSurface(this.world, this.RAPIER);
+    if (!surface) {
+      if (hasInput && into > 0) {
+        this.tryMantle(player);
+      }
+      player.stopClimbing();
+      return false;
+    }
+    player.climbNormal.copy(surface.normal);
+    
+    // --- Move along the wall plane ---
+    // Input into the wall climbs up, sideways input traverses
+    const tangentX = -normal.z;
+    const tangentZ = normal.x;
+    const lateral = moveDirection.x * tangentX + moveDirection.z * tangentZ;
+    const up = hasInput ? into : 0;
+    
+    const velX = tangentX * lateral * profile.climbSpeed - normal.x * PARAMS.climbStick;
+    const velY = up * profile.climbSpeed;
+    const velZ = tangentZ * lateral * profile.climbSpeed - normal.z * PARAMS.climbStick;
+    
+    player.physicsBody.setLinvel({ x: velX, y: velY, z: velZ }, true);
+    
+    // Face the wall
+    player.targetRotation = Math.atan2(-normal.x, -normal.z);
+    
+    state.velocity.set(velX, velY, velZ);
+    return true;
+  }
+  
+  /**
+   * Pull a climber up onto the ledge above the wall they're on
+   * Only when the wall ran out at head height (still there lower down) and the way over is clear
+   * @param {Player} player
+   * @returns {boolean} True if a ledge was found
+   */
+  tryMantle(player) {
+    const pos = player.physicsBody.translation();
+    const normal = player.climbNormal;
+    const reach = player.radius * 2 + 0.2;
+    const toWall = { x: -normal.x, y: 0, z: -normal.z };
+    const feetY = pos.y - player.height / 2;
+    
+    // Wall still there at the feet? If not, we slid off a corner or the bottom - not a top
+    const low = new this.RAPIER.Ray({ x: pos.x, y: feetY + player.radius, z: pos.z }, toWall);
+    if (!this.world.castRay(low, reach, true, undefined, undefined, player.collider)) return false;
+    
+    // Nothing in the way at probe height (the wall really ends below it)
+    const probeY = pos.y + player.height / 2 + PARAMS.mantleHeight;
+    const across = new this.RAPIER.Ray({ x: pos.x, y: probeY, z: pos.z }, toWall);
+    if (this.world.castRay(across, reach, true, undefined, undefined, player.collider)) return false;
+    
+    // Probe down onto the roof just past the wall
+    const origin = {
+      x: pos.x - normal.x * reach,
+      y: probeY,
+      z: pos.z - normal.z * reach
+    };
+    const ray = new this.RAPIER.Ray(origin, { x: 0, y: -1, z: 0 });
+    const hit = this.world.castRay(ray, player.height + PARAMS.mantleHeight, true, undefined, undefined, player.collider);
+    
+    if (!hit || hit.timeOfImpact <= 0) return false;
+    
+    // Must be a ledge above us, not the ground beside the wall
+    const ledgeY = origin.y - hit.timeOfImpact;
+    if (ledgeY <= feetY) return false;
+    
+    player.physicsBody.setTranslation({ x: origin.x, y: ledgeY + player.height / 2 + 0.05, z: origin.z }, true);
+    player.physicsBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    
+    return true;
+  }
+  
+  // ==========================================================================
+  // GLIDING - Capped fall speed with forward air speed
+  // ==========================================================================
+  
+  /**
+   * Start, steer or end a glide
+   * @returns {boolean} True if gliding handled movement this step
+   */
+  updateGliding(player, state, moveDirection, dt) {
+    const profile = state.profile;
+    const linvel = player.physicsBody.linvel();
+    
+    // --- Not gliding: try to open wings ---
+    if (!player.isGliding) {
+      if (!player.abilities.glide || state.isGrounded || player.isClimbing || linvel.y >= 0) return false;
+      
+      player.startGliding(this.getHeightAboveGround(player));
+      if (!player.isGliding) return false;
+    }
+    
+    // --- Landed, grabbed a wall, frozen, or released ---
+    if (!player.abilities.glide || state.isGrounded || player.isClimbing || player.isFrozen) {
+      player.stopGliding();
+      return false;
+    }
+    
+    // --- Heading: input steers, otherwise keep facing direction ---
+    const hasInput = moveDirection.lengthSq() > 0.001;
+    let dirX = Math.sin(player.targetRotation);
+    let dirZ = Math.cos(player.targetRotation);
+    if (hasInput) {
+      const len = Math.sqrt(moveDirection.x ** 2 + moveDirection.z ** 2);
+      dirX = moveDirection.x / len;
+      dirZ = moveDirection.z / len;
+    }
+    
+    const velX = this.lerp(linvel.x, dirX * profile.glideSpeed, PARAMS.glideSteer * dt);
+    const velZ = this.lerp(linvel.z, dirZ * profile.glideSpeed, PARAMS.glideSteer * dt);
+    
+    // --- Vertical: gravity, capped at glide fall speed ---
+    let velY = linvel.y - PARAMS.gravity * dt;
+    if (velY < -profile.glideFallSpeed) {
+      velY = Math.min(-profile.glideFallSpeed, this.lerp(linvel.y, -profile.glideFallSpeed, PARAMS.glideBrake * dt));
+    }
+    
+    player.physicsBody.setLinvel({ x: velX, y: velY, z: velZ }, true);
+    
+    if (velX * velX + velZ * velZ > 0.01) {
+      player.targetRotation = Math.atan2(velX, velZ);
+    }
+    
+    state.velocity.set(velX, velY, velZ);
+    return true;
+  }
+  
+  /**
+   * Distance from the player's feet to the ground below
+   * @param {Player} player
+   * @param {number} maxDist - Ray length
+   * @returns {number} Height, or Infinity if nothing within range
+   */
+  getHeightAboveGround(player, maxDist = 100) {
+    const pos = player.physicsBody.translation();
+    const halfHeight = player.height / 2;
+    
+    const ray = new this.RAPIER.Ray({ x: pos.x, y: pos.y, z: pos.z }, { x: 0, y: -1, z: 0 });
+    const hit = this.world.castRay(ray, halfHeight + maxDist, true, undefined, undefined, player.collider);
+    
+    return hit ? hit.timeOfImpact - halfHeight : Infinity;
+  }
+  
   // ==========================================================================
   // UTILITIES
   // ==========================================================================
@@ -232,6 +553,32 @@ class PhysicsMovements {
     }
   }
   
+  /**
+   * Shove a player and suspend ground friction and steering so the shove carries
+   * @param {Player} player
+   * @param {object} impulse - { x, y, z }
+   * @param {number} duration - Seconds before movement control returns
+   */
+  applyKnockback(player, impulse, duration) {
+    this.applyImpulse(player, impulse);
+    
+    const state = this.players.get(player.id);
+    if (state) {
+      state.knockbackTimer = duration;
+    }
+  }
+  
+  /**
+   * Hand movement control straight back (e.g. on respawn)
+   * @param {string} playerId
+   */
+  cancelKnockback(playerId) {
+    const state = this.players.get(playerId);
+    if (state) {
+      state.knockbackTimer = 0;
+    }
+  }
+  
   // ==========================================================================
   // DEBUG
   // ==========================================================================
@@ -246,6 +593,7 @@ class PhysicsMovements {
       speed: Math.sqrt(state.velocity.x ** 2 + state.velocity.z ** 2).toFixed(1),
       groundGap: state.groundGap !== null ? state.groundGap.toFixed(3) : 'N/A',
       groundHitDist: state.groundHitDist !== null ? state.groundHitDist.toFixed(3) : 'N/A',
+      profile: `${state.profile.speed.toFixed(1)}/${state.profile.sprintSpeed.toFixed(1)} jump ${state.profile.jumpForce.toFixed(1)}`,
     };
   }
   
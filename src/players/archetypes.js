@@ -0,0 +1,239 @@
+/**
+ * Archetypes - Gargoyle variants for Gargoyle
+ *
+ * Each archetype bundles everything that sets one kind of gargoyle apart:
+ * - Stats for the GargoylePlayer (speeds, stamina)
+ * - AI tuning (merged over the difficulty preset's AI config)
+ * - Behavior (state machine, see behaviors.js)
+ * - Body tint from the palette and a spawn weight
+ *
+ * The map rolls a mix of archetypes for each round (see GameMap.getGargoyleArchetypes).
+ */
+
+import { PLAYERS } from '../utilities/palette.js';
+import { BehaviorAction } from './behaviors.js';
+import { AIState, DEFAULT_BEHAVIOR } from './computerplayer.js';
+
+// ============================================
+// ARCHETYPE IDS
+// ============================================
+export const Archetype = {
+  SENTINEL: 'sentinel',
+  SPRINTER: 'sprinter',
+  CLIMBER: 'climber',
+  STALKER: 'stalker',
+};
+
+// Half-seen, heard, or told about something - go take a look
+const INVESTIGATE = { any: ['isSuspicious', 'heardNoise', 'packAlerted'] };
+
+// ============================================
+// BEHAVIORS
+// ============================================
+
+// Sentinel - never moves while inside the target's view cone, even behind cover
+const SENTINEL_BEHAVIOR = {
+  initial: AIState.IDLE,
+  global: [
+    { to: AIState.FROZEN, when: 'isFrozen' },
+    { to: 'still', when: 'watched' },
+    { to: AIState.CHASE, when: 'canSeeTarget' }
+  ],
+  states: {
+    ...DEFAULT_BEHAVIOR.states,
+    still: {
+      // Unwatched again - pick the hunt back up if there is a lead, else patrol
+      action: BehaviorAction.WAIT,
+      transitions: [
+        { to: AIState.HUNT, when: { condition: 'hasLead', value: 15 } },
+        { to: AIState.PATROL, when: 'always' }
+      ]
+    }
+  }
+};
+
+// Climber - keeps watch from rooftops instead of walking the streets
+const CLIMBER_BEHAVIOR = {
+  initial: 'lookout',
+  global: DEFAULT_BEHAVIOR.global,
+  states: {
+    lookout: {
+      action: BehaviorAction.CLIMB,
+      transitions: [{ to: AIState.HUNT, when: INVESTIGATE }]
+    },
+    [AIState.CHASE]: DEFAULT_BEHAVIOR.states[AIState.CHASE],
+    [AIState.HUNT]: {
+      action: BehaviorAction.HUNT,
+      transitions: [{ to: 'lookout', when: 'searchDone' }]
+    },
+    [AIState.FROZEN]: DEFAULT_BEHAVIOR.states[AIState.FROZEN]
+  }
+};
+
+// Stalker - trails the target at a distance and only closes in once it turns away
+const STALKER_BEHAVIOR = {
+  initial: AIState.IDLE,
+  global: [{ to: AIState.FROZEN, when: 'isFrozen' }],
+  states: {
+    [AIState.IDLE]: {
+      action: BehaviorAction.IDLE,
+      transitions: [
+        { to: 'stalk', when: 'canSeeTarget' },
+        { to: AIState.HUNT, when: INVESTIGATE },
+        { to: AIState.PATROL, when: { condition: 'stateTime', value: 1 } }
+      ]
+    },
+    [AIState.PATROL]: {
+      action: BehaviorAction.PATROL,
+      transitions: [
+        { to: 'stalk', when: 'canSeeTarget' },
+        { to: AIState.HUNT, when: INVESTIGATE }
+      ]
+    },
+    stalk: {
+      action: BehaviorAction.STALK,
+      transitions: [
+        { to: AIState.HUNT, when: { not: 'canSeeTarget' } },
+        { to: AIState.CHASE, when: 'targetLookingAway' }
+      ]
+    },
+    [AIState.CHASE]: {
+      // Target turned back around - drop back unless already on top of it
+      action: BehaviorAction.CHASE,
+      transitions: [
+        { to: AIState.HUNT, when: { not: 'canSeeTarget' } },
+        { to: 'stalk', when: { all: [{ not: 'targetLookingAway' }, { not: { condition: 'targetWithin', value: 6 } }] } }
+      ]
+    },
+    [AIState.HUNT]: {
+      action: BehaviorAction.HUNT,
+      transitions: [
+        { to: 'stalk', when: 'canSeeTarget' },
+        { to: AIState.PATROL, when: 'searchDone' }
+      ]
+    },
+    [AIState.FROZEN]: DEFAULT_BEHAVIOR.states[AIState.FROZEN]
+  }
+};
+
+// ============================================
+// ARCHETYPES
+// ============================================
+export const ARCHETYPES = {
+  [Archetype.SENTINEL]: {
+    id: Archetype.SENTINEL,
+    label: 'Sentinel',
+    tint: PLAYERS.gargoyle.sentinel,
+    spawnWeight: 3,
+    stats: {
+      speed: 6,              // Quick on its feet - it only gets to move unseen
+      sprintSpeed: 12,
+    },
+    ai: {
+      aggression: 0,         // Always waits for the target to look away
+      patrolSpeed: 3,
+    },
+    behavior: SENTINEL_BEHAVIOR,
+  },
+  [Archetype.SPRINTER]: {
+    id: Archetype.SPRINTER,
+    label: 'Sprinter',
+    tint: PLAYERS.gargoyle.sprinter,
+    spawnWeight: 2,
+    stats: {
+      speed: 5,
+      sprintSpeed: 16,       // Very fast...
+      maxStamina: 40,        // ...for a couple of seconds at a time
+      staminaRegen: 20,
+    },
+    ai: {
+      chaseSpeed: 16,        // Sprint whenever there is breath for it
+      rushAngle: 90,
+    },
+    behavior: DEFAULT_BEHAVIOR,
+  },
+  [Archetype.CLIMBER]: {
+    id: Archetype.CLIMBER,
+    label: 'Climber',
+    tint: PLAYERS.gargoyle.climber,
+    spawnWeight: 2,
+    stats: {
+      speed: 4.5,
+      sprintSpeed: 10,
+      climbSpeed: 7,
+      glideSpeed: 10,
+      maxStamina: 160,       // Enough for the tallest towers
+    },
+    ai: {
+      glideMinDrop: 3,       // Happy to drop off a roof onto the target
+      lookoutTurnSpeed: 0.6,
+    },
+    behavior: CLIMBER_BEHAVIOR,
+  },
+  [Archetype.STALKER]: {
+    id: Archetype.STALKER,
+    label: 'Stalker',
+    tint: PLAYERS.gargoyle.stalker,
+    spawnWeight: 2,
+    stats: {
+      speed: 5,
+      sprintSpeed: 13,
+    },
+    ai: {
+      stalkDistance: 14,
+      huntSpeed: 5,
+    },
+    behavior: STALKER_BEHAVIOR,
+  },
+};
+
+export const DEFAULT_ARCHETYPE = Archetype.SENTINEL;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Get an archetype by id (falls back to the default for unknown ids)
+ * @param {string} id - Archetype id
+ * @returns {object} Archetype
+ */
+export function getArchetype(id) {
+  return ARCHETYPES[id] || ARCHETYPES[DEFAULT_ARCHETYPE];
+}
+
+/**
+ * Roll a mix of archetypes by spawn weight
+ * Every archetype appears once before any repeats
+ * @param {number} count - Number of gargoyles
+ * @param {number} seed - Seed for the roll (same seed, same mix)
+ * @returns {string[]} Archetype ids
+ */
+export function rollArchetypes(count, seed) {
+  let randomSeed = seed;
+  const random = () => {
+    randomSeed = (randomSeed * 9301 + 49297) % 233280;
+    return randomSeed / 233280;
+  };
+  
+  const picks = [];
+  let pool = [];
+  
+  for (let i = 0; i < count; i++) {
+    if (pool.length === 0) pool = Object.keys(ARCHETYPES);
+    
+    const total = pool.reduce((sum, id) => sum + ARCHETYPES[id].spawnWeight, 0);
+    let roll = random() * total;
+    let index = pool.findIndex(id => (roll -= ARCHETYPES[id].spawnWeight) < 0);
+    if (index < 0) index = pool.length - 1;
+    
+    picks.push(pool.splice(index, 1)[0]);
+  }
+  
+  return picks;
+}
+
+// ============================================
+// DEFAULT EXPORT - All archetypes
+// ============================================
+export default ARCHETYPES;
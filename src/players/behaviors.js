@@ -0,0 +1,151 @@
+/**
+ * Behaviors - Data-driven AI state machines
+ *
+ * An agent's behavior is plain data: named states that each run one action,
+ * with ordered transitions guarded by conditions. ComputerPlayer supplies the
+ * actions; this module evaluates conditions and picks the next state.
+ *
+ *   {
+ *     initial: 'patrol',
+ *     global: [{ to: 'chase', when: 'canSeeTarget' }],     // Checked first, from every state
+ *     states: {
+ *       patrol: { action: 'patrol', transitions: [{ to: 'hunt', when: 'heardNoise' }] },
+ *       chase:  { action: 'chase',  transitions: [{ to: 'hunt', when: { not: 'canSeeTarget' } }] },
+ *       hunt:   { action: 'hunt',   transitions: [{ to: 'patrol', when: 'searchDone' }] }
+ *     }
+ *   }
+ *
+ * A condition is a name ('canSeeTarget'), a check with a value
+ * ({ condition: 'targetWithin', value: 10 }) or a combination
+ * ({ not: ... }, { any: [...] }, { all: [...] }).
+ */
+
+// ============================================
+// ACTIONS - What a state does each frame (run by ComputerPlayer)
+// ============================================
+export const BehaviorAction = {
+  IDLE: 'idle',       // Stand still
+  PATROL: 'patrol',   // Walk the patrol route
+  CHASE: 'chase',     // Pursue the target with the pack
+  HUNT: 'hunt',       // Investigate the last known position, then search
+  WAIT: 'wait',       // Hold position (e.g. while frozen)
+  CLIMB: 'climb',     // Scale the nearest building and keep watch from the roof
+  STALK: 'stalk'      // Shadow the target from a distance
+};
+
+// ============================================
+// CONDITIONS - (agent, value) => boolean
+// ============================================
+export const CONDITIONS = {
+  always: () => true,
+  canSeeTarget: (agent) => agent.canSeeTarget,
+  isSuspicious: (agent) => agent.isSuspicious,
+  heardNoise: (agent) => agent.heardNoise,
+  packAlerted: (agent) => agent.packAlerted,
+  isFrozen: (agent) => agent.player.isFrozen,
+  
+  // Inside the target's view cone, even behind cover
+  watched: (agent) => agent.isWatched,
+  
+  // Target faces away from the agent (see rushAngle)
+  targetLookingAway: (agent) => agent.targetLookingAway,
+  
+  // Saw or heard the target within this many seconds
+  hasLead: (agent, value) => agent.timeSinceSeenTarget <= value,
+  
+  // Searched for the full search duration without a new lead
+  searchDone: (agent) => agent.search !== null && agent.search.timer > agent.config.searchDuration,
+  
+  // Seconds in the current state
+  stateTime: (agent, value) => agent.stateTime >= value,
+  
+  // Stamina fraction (always true for players without stamina)
+  stamina: (agent, value) => agent.player.stamina === undefined ||
+    agent.player.stamina / agent.player.maxStamina >= value,
+  
+  // Distance to where the target was last seen or heard
+  targetWithin: (agent, value) => agent.player.position.distanceTo(agent.lastKnownTargetPos) <= value
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Evaluate a condition against an agent
+ * @param {string|object} condition
+ * @param {object} agent
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, agent) {
+  if (typeof condition === 'string') {
+    return CONDITIONS[condition](agent);
+  }
+  
+  if (condition.not !== undefined) return !evaluateCondition(condition.not, agent);
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, agent));
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, agent));
+  
+  return CONDITIONS[condition.condition](agent, condition.value);
+}
+
+/**
+ * Find the state an agent should move to
+ * Global transitions are checked first, then the current state's, in order
+ * @param {object} behavior
+ * @param {object} agent - Agent in its current state
+ * @returns {string|null} Target state of the first transition that holds
+ */
+export function getNextState(behavior, agent) {
+  const transitions = [
+    ...(behavior.global || []),
+    ...(behavior.states[agent.state].transitions || [])
+  ];
+  
+  const transition = transitions.find(t => evaluateCondition(t.when, agent));
+  return transition ? transition.to : null;
+}
+
+/**
+ * Check a behavior definition, so mistakes show up at registration
+ * @param {object} behavior
+ * @param {string[]} actions - Actions the runner supports
+ * @throws {Error} Describing the first problem found
+ */
+export function validateBehavior(behavior, actions = Object.values(BehaviorAction)) {
+  const states = behavior.states || {};
+  
+  if (!states[behavior.initial]) {
+    throw new Error(`Behavior: initial state "${behavior.initial}" is not defined`);
+  }
+  
+  const checkCondition = (condition, where) => {
+    if (typeof condition === 'string') {
+      if (!CONDITIONS[condition]) throw new Error(`Behavior: unknown condition "${condition}" in ${where}`);
+    } else if (condition && condition.not !== undefined) {
+      checkCondition(condition.not, where);
+    } else if (condition && (condition.any || condition.all)) {
+      (condition.any || condition.all).forEach(c => checkCondition(c, where));
+    } else if (!condition || !CONDITIONS[condition.condition]) {
+      throw new Error(`Behavior: unknown condition ${JSON.stringify(condition)} in ${where}`);
+    }
+  };
+  
+  const checkTransitions = (transitions, where) => {
+    for (const transition of transitions || []) {
+      if (!states[transition.to]) {
+        throw new Error(`Behavior: transition in ${where} goes to undefined state "${transition.to}"`);
+      }
+      checkCondition(transition.when, where);
+    }
+  };
+  
+  checkTransitions(behavior.global, 'global');
+  
+  for (const [name, state] of Object.entries(states)) {
+    if (!actions.includes(state.action)) {
+      throw new Error(`Behavior: state "${name}" has unknown action "${state.action}"`);
+    }
+    checkTransitions(state.transitions, `state "${name}"`);
+  }
+}
@@ -4,8 +4,11 @@
  */
 
 import * as THREE from 'three';
+import { BehaviorAction, getNextState, validateBehavior } from './behaviors.js';
+import { MeshCategory } from '../registries/meshregistry.js';
+import physicsMovements from '../physics/physicsmovements.js';
 
-// AI States
+// AI States (the default behavior's state names)
 export const AIState = {
   IDLE: 'idle',
   PATROL: 'patrol',
@@ -14,12 +17,39 @@ export const AIState = {
   FROZEN: 'frozen'
 };
 
+// Pursuit maneuvers (gargoyle abilities)
+export const Maneuver = {
+  NONE: 'none',
+  CLIMB: 'climb',   // Scale a building that blocks the way
+  GLIDE: 'glide'    // Drop off a roof toward a target below
+};
+
+// Pack roles - how a pursuing gargoyle approaches the target
+export const PackRole = {
+  NONE: 'none',
+  STALKER: 'stalker',   // Closes in from behind the target
+  FLANKER: 'flanker',   // Swings wide to the target's side
+  BLOCKER: 'blocker'    // Cuts off where the target is heading
+};
+
+// Stealth - how a chasing gargoyle deals with the target's gaze
+export const Stealth = {
+  NONE: 'none',
+  HIDING: 'hiding',     // Holding behind cover while the next step is in view
+  RUSHING: 'rushing'    // Target looking away - sprint in
+};
+
 // AI Configuration
 const AI_CONFIG = {
   // Detection
   sightRange: 60,           // How far AI can see target
+  sightAngle: 120,          // Degrees - facing cone the AI can see in
+  awarenessGain: 1.5,       // Awareness per second while target is in view (faster up close)
+  awarenessDecay: 0.4,      // Awareness lost per second while target is out of view
+  suspicionThreshold: 0.4,  // Awareness at which AI goes to investigate
   hearingRange: 20,         // Range to detect target by "sound" (movement)
-  lostTargetTime: 3,        // Seconds before giving up chase
+  noiseUncertainty: 6,      // Max error locating a noise at the edge of hearing range
+  lostTargetTime: 3,        // Seconds heading for the last known position before searching around it
   
   // Movement
   patrolSpeed: 2,
@@ -28,61 +58,257 @@ const AI_CONFIG = {
   turnSpeed: 5,             // How fast AI rotates
   
   // Patrol
-  patrolRadius: 30,         // How far from spawn to patrol
+  patrolRadius: 40,         // How far from spawn to patrol
   patrolWaitTime: 2,        // Seconds to wait at patrol point
+  intersectionWaitTime: 1.5, // Seconds to pause at a road intersection on a route
   
   // Chase
   chaseUpdateInterval: 0.2, // How often to recalculate path (seconds)
   minChaseDistance: 2,      // Stop chasing when this close
   
-  // Obstacle avoidance
+  // Search
+  searchDuration: 12,       // Seconds to search around the last known position before patrolling again
+  searchSweepTime: 2,       // Seconds spent looking around at each search spot
+  searchSweepAngle: 150,    // Degrees covered by a sweep
+  searchPredictTime: 2,     // Seconds along the target's last velocity to check
+  searchDoorwayRange: 20,   // Check hollow building doorways this close to the last known position
+  searchDoorwayStandoff: 2, // Stand this far out from a doorway to look inside
+  searchRadius: 6,          // Distance of the first ring of search spots
+  searchRadiusGrowth: 6,    // Each further ring reaches this much farther out
+  searchRingSpots: 4,       // Spots per ring
+  
+  // Navigation
+  waypointRadius: 1.5,      // Distance at which a waypoint counts as reached
+  replanDistance: 3,        // Re-plan when the destination moves this far
+  
+  // Pack
+  packShareTime: 2.5,       // Seconds a packmate's sighting stays useful (keep below lostTargetTime)
+  roleApproachDistance: 8,  // Offset from target for stalker / flanker approach points
+  blockerLeadTime: 2,       // Seconds ahead along the target's heading the blocker aims
+  roleCommitDistance: 6,    // Closer than this, every role rushes the target
+  
+  // Freeze awareness
+  aggression: 0.3,          // 0 = always waits for the target to look away, 1 = ignores its gaze
+  viewConeMargin: 1.2,      // Treat the target's view cone as this much wider, to be safe
+  coverPeekDistance: 2,     // How far ahead to check before stepping into view
+  maxCoverWait: 6,          // Longest hold behind cover at aggression 0 (seconds)
+  rushAngle: 110,           // Degrees between target facing and us to count as "looking away"
+  viewPathPenalty: 4,       // Extra path cost per in-view cell (scaled by 1 - aggression)
+  viewReplanInterval: 1,    // Re-plan this often while avoiding the target's gaze
+  
+  // Obstacle avoidance (fallback when there's no nav path)
   avoidanceDistance: 3,
-  avoidanceStrength: 5
+  avoidanceStrength: 5,
+  
+  // Maneuvers
+  climbProbeDistance: 2,    // How far ahead to look for a wall to climb
+  glideMinDrop: 4,          // Target must be this far below to glide down
+  maneuverStaminaMargin: 1.25, // Safety factor on stamina estimates
+  
+  // Lookout (climb action)
+  lookoutTurnSpeed: 0.8,    // Radians per second a rooftop lookout turns while watching
+  
+  // Disguise (starting a round posed as a statue)
+  ambushRange: 12,          // Drop the pose when the target comes this close
+  ambushTime: 40,           // Give up the pose after this many seconds
+  
+  // Stalk (stalk action)
+  stalkDistance: 14,        // Distance a stalker keeps from the target
+  stalkTolerance: 3         // Hold position while this close to the stalk distance
+};
+
+// Half-seen, heard, or told about something - go take a look
+const INVESTIGATE = { any: ['isSuspicious', 'heardNoise', 'packAlerted'] };
+
+// Default gargoyle behavior (see behaviors.js for the format)
+export const DEFAULT_BEHAVIOR = {
+  initial: AIState.IDLE,
+  global: [
+    { to: AIState.FROZEN, when: 'isFrozen' },
+    { to: AIState.CHASE, when: 'canSeeTarget' }
+  ],
+  states: {
+    [AIState.IDLE]: {
+      action: BehaviorAction.IDLE,
+      transitions: [
+        { to: AIState.HUNT, when: INVESTIGATE },
+        { to: AIState.PATROL, when: { condition: 'stateTime', value: 1 } }
+      ]
+    },
+    [AIState.PATROL]: {
+      action: BehaviorAction.PATROL,
+      transitions: [{ to: AIState.HUNT, when: INVESTIGATE }]
+    },
+    [AIState.CHASE]: {
+      action: BehaviorAction.CHASE,
+      transitions: [{ to: AIState.HUNT, when: { not: 'canSeeTarget' } }]
+    },
+    [AIState.HUNT]: {
+      action: BehaviorAction.HUNT,
+      transitions: [{ to: AIState.PATROL, when: 'searchDone' }]
+    },
+    [AIState.FROZEN]: {
+      // Just released - resume searching where the target was last seen
+      action: BehaviorAction.WAIT,
+      transitions: [{ to: AIState.HUNT, when: { not: 'isFrozen' } }]
+    }
+  }
+};
+
+// Method that runs each behavior action
+const ACTION_METHODS = {
+  [BehaviorAction.IDLE]: 'behaviorIdle',
+  [BehaviorAction.PATROL]: 'behaviorPatrol',
+  [BehaviorAction.CHASE]: 'behaviorChase',
+  [BehaviorAction.HUNT]: 'behaviorHunt',
+  [BehaviorAction.WAIT]: 'behaviorWait',
+  [BehaviorAction.CLIMB]: 'behaviorClimb',
+  [BehaviorAction.STALK]: 'behaviorStalk'
 };
 
 class ComputerPlayer {
   constructor() {
     // AI controlled players
     this.agents = new Map();
+    
+    // Walkable graph for pathfinding (null = steer directly)
+    this.navGrid = null;
+    
+    // Street patrol routes (empty = wander around spawn)
+    this.patrolRoutes = [];
+    
+    // Hollow building doorways to check when searching
+    this.doorways = [];
+    
+    // Shared pack memory (blackboard)
+    this.pack = {
+      time: 0,
+      hasSighting: false,
+      lastSighting: new THREE.Vector3(),
+      lastSightingTime: 0,
+      targetHeading: new THREE.Vector3(),   // Target velocity at last sighting (XZ)
+      targetFacing: new THREE.Vector3(0, 0, 1),
+      frozen: new Set()                     // Ids of currently frozen gargoyles
+    };
+    
+    // Random seed (patrol target selection)
+    this.randomSeed = Date.now();
+  }
+  
+  /**
+   * Set the random seed used for AI decisions
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.randomSeed = seed;
+  }
+  
+  /**
+   * Set the navigation grid used for pathfinding
+   * @param {NavGrid} navGrid
+   */
+  setNavGrid(navGrid) {
+    this.navGrid = navGrid;
+  }
+  
+  /**
+   * Set the patrol routes agents walk (see GameMap.getPatrolRoutes)
+   * @param {Array<{type: string, waypoints: object[]}>} routes
+   */
+  setPatrolRoutes(routes) {
+    this.patrolRoutes = routes;
+  }
+  
+  /**
+   * Set the hollow building doorways agents peek into when searching (see GameMap.getDoorways)
+   * @param {Array<{x: number, z: number, width: number}>} doorways
+   */
+  setDoorways(doorways) {
+    this.doorways = doorways;
+  }
+  
+  /**
+   * Seeded random number generator
+   * @returns {number} Value in [0, 1)
+   */
+  random() {
+    this.randomSeed = (this.randomSeed * 9301 + 49297) % 233280;
+    return this.randomSeed / 233280;
   }
   
   /**
    * Register an AI agent
    * @param {Player} player - The player to control
    * @param {object} options - AI options
+   * @param {Player} options.target - Player to hunt
+   * @param {object} options.config - AI_CONFIG overrides
+   * @param {object} options.behavior - State machine (defaults to DEFAULT_BEHAVIOR, see behaviors.js)
    */
   registerAgent(player, options = {}) {
+    const behavior = options.behavior || DEFAULT_BEHAVIOR;
+    validateBehavior(behavior, Object.keys(ACTION_METHODS));
+    
     const agent = {
       player: player,
-      state: AIState.IDLE,
-      previousState: AIState.IDLE,
+      behavior: behavior,
+      state: behavior.initial,
+      previousState: behavior.initial,
+      action: behavior.states[behavior.initial].action,
+      stateTime: 0,             // Seconds in the current state
       
       // Target tracking
       target: options.target || null,
       lastKnownTargetPos: new THREE.Vector3(),
-      timeSinceSeenTarget: 0,
+      lastKnownTargetVelocity: new THREE.Vector3(), // XZ velocity at last sighting (zero for noises)
+      timeSinceSeenTarget: Infinity,
       canSeeTarget: false,
+      awareness: 0,             // 0-1, target is spotted at 1
+      isSuspicious: false,      // Glimpsed but not yet spotted
+      isWatched: false,         // Inside the target's view cone (cover or not)
+      targetLookingAway: false, // Target faces away from us (see rushAngle)
+      heardNoise: false,        // Heard something since last update
+      packAlerted: false,       // A packmate saw the target recently
+      role: PackRole.NONE,
+      search: null,             // Active search around the last known position
+      ambushTimer: 0,           // Seconds spent posing as a statue
+      
+      // Stealth
+      stealth: Stealth.NONE,
+      coverTimer: 0,
       
       // Patrol
       spawnPosition: player.position.clone(),
       patrolTarget: new THREE.Vector3(),
       patrolWaitTimer: 0,
+      route: null,              // Assigned patrol route
+      routeIndex: 0,            // Current waypoint on the route
+      onRoute: false,           // False after leaving patrol - rejoin at the nearest waypoint
       
       // Movement
       moveDirection: new THREE.Vector3(),
       currentSpeed: 0,
       
-      // Pathfinding (simple)
+      // Pathfinding
       pathUpdateTimer: 0,
+      path: null,               // World waypoints from the nav grid
+      pathIndex: 0,
+      pathGoal: new THREE.Vector3(Infinity, 0, Infinity),
+      pathFailed: false,        // Last plan found no route
+      replanTimer: Infinity,
+      
+      // Climb / glide
+      maneuver: Maneuver.NONE,
+      climbGoal: null,          // Roof the climb action is heading for
       
       // Configuration
       config: { ...AI_CONFIG, ...options.config }
     };
     
-    // Set initial patrol target
-    this.setNewPatrolTarget(agent);
-    
     this.agents.set(player.id, agent);
+    
+    // Pick a street route and set initial patrol target
+    this.assignRoute(agent);
+    this.setNewPatrolTarget(agent);
     console.log(`AI agent registered: ${player.name}`);
     
     return agent;
@@ -96,6 +322,47 @@ class ComputerPlayer {
     this.agents.delete(playerId);
   }
   
+  /**
+   * Merge new values into an agent's AI config (e.g. difficulty tuning)
+   * @param {string} playerId
+   * @param {object} config - Partial AI_CONFIG
+   */
+  setAgentConfig(playerId, config) {
+    const agent = this.agents.get(playerId);
+    if (agent) {
+      Object.assign(agent.config, config);
+    }
+  }
+  
+  /**
+   * Replace an agent's AI config - AI_CONFIG defaults plus the given overrides
+   * Use when the overrides change wholesale (e.g. a new archetype each round)
+   * @param {string} playerId
+   * @param {object} config - Partial AI_CONFIG
+   */
+  resetAgentConfig(playerId, config) {
+    const agent = this.agents.get(playerId);
+    if (agent) {
+      agent.config = { ...AI_CONFIG, ...config };
+    }
+  }
+  
+  /**
+   * Give an agent a new behavior, starting from its initial state
+   * @param {string} playerId
+   * @param {object} behavior - State machine (see behaviors.js)
+   * @throws {Error} If the behavior is invalid
+   */
+  setAgentBehavior(playerId, behavior) {
+    const agent = this.agents.get(playerId);
+    if (!agent) return;
+    
+    validateBehavior(behavior, Object.keys(ACTION_METHODS));
+    agent.behavior = behavior;
+    this.setState(agent, behavior.initial);
+    agent.previousState = behavior.initial;
+  }
+  
   /**
    * Set the target for an agent to chase
    * @param {string} playerId
@@ -114,9 +381,13 @@ class ComputerPlayer {
    * @param {THREE.Object3D[]} obstacles - For obstacle avoidance
    */
   update(deltaTime, obstacles = []) {
+    this.pack.time += deltaTime;
+    
     for (const agent of this.agents.values()) {
       this.updateAgent(agent, deltaTime, obstacles);
     }
+    
+    this.updatePack();
   }
   
   /**
@@ -128,117 +399,281 @@ class ComputerPlayer {
   updateAgent(agent, deltaTime, obstacles) {
     const player = agent.player;
     
-    // Don't update if player is frozen or dead
-    if (player.isFrozen) {
-      agent.state = AIState.FROZEN;
-      this.stopMovement(agent);
-      return;
-    }
+    // Only a chasing agent weighs the target's gaze (see updateStealth)
+    agent.stealth = Stealth.NONE;
     
+    // Don't update if dead
     if (!player.isAlive) {
-      agent.state = AIState.IDLE;
+      if (agent.state !== agent.behavior.initial) {
+        this.setState(agent, agent.behavior.initial);
+      }
       this.stopMovement(agent);
+      this.setManeuver(agent, Maneuver.NONE);
       return;
     }
     
-    // Update target visibility
-    this.updateTargetVisibility(agent);
+    // Update target visibility (senses are off while turned to stone)
+    if (!player.isFrozen) {
+      this.updateTargetVisibility(agent, deltaTime, obstacles);
+    }
+    this.updateTargetGaze(agent);
+    
+    // Posing as a statue - hold still until the target comes close or time runs out
+    if (player.isDisguised) {
+      agent.ambushTimer += deltaTime;
+      if (!this.shouldDropDisguise(agent)) {
+        this.stopMovement(agent);
+        this.setManeuver(agent, Maneuver.NONE);
+        return;
+      }
+      player.reveal();
+    }
     
     // Update AI state
     this.updateState(agent, deltaTime);
     
-    // Execute behavior based on state
-    switch (agent.state) {
-      case AIState.IDLE:
-        this.behaviorIdle(agent, deltaTime);
-        break;
-      case AIState.PATROL:
-        this.behaviorPatrol(agent, deltaTime, obstacles);
-        break;
-      case AIState.CHASE:
-        this.behaviorChase(agent, deltaTime, obstacles);
-        break;
-      case AIState.HUNT:
-        this.behaviorHunt(agent, deltaTime, obstacles);
-        break;
+    // Run the current state's action
+    this[ACTION_METHODS[agent.action]](agent, deltaTime, obstacles);
+    
+    // Rejoin the route next time patrol starts
+    if (agent.action !== BehaviorAction.PATROL) {
+      agent.onRoute = false;
     }
     
     // Apply movement to player
     this.applyMovement(agent, deltaTime);
   }
   
+  /**
+   * Check if a disguised agent should break its statue pose
+   * @param {object} agent
+   * @returns {boolean}
+   */
+  shouldDropDisguise(agent) {
+    const target = agent.target;
+    if (agent.ambushTimer >= agent.config.ambushTime) return true;
+    if (!target || !target.isAlive) return false;
+    
+    return agent.player.position.distanceTo(target.position) <= agent.config.ambushRange;
+  }
+  
   /**
    * Check if agent can see target
+   * Awareness builds while the target is in view and fades when it isn't;
+   * the target only counts as seen once awareness is full
    * @param {object} agent
+   * @param {number} deltaTime
+   * @param {THREE.Object3D[]} obstacles - Objects that block line of sight
    */
-  updateTargetVisibility(agent) {
+  updateTargetVisibility(agent, deltaTime, obstacles = []) {
+    agent.isSuspicious = false;
+    
     if (!agent.target || !agent.target.isAlive) {
       agent.canSeeTarget = false;
+      agent.awareness = 0;
       return;
     }
     
     const player = agent.player;
     const targetPos = agent.target.position;
     const distance = player.position.distanceTo(targetPos);
+    const inView = this.isTargetInView(agent, obstacles);
     
-    // Check sight range
-    if (distance <= agent.config.sightRange) {
-      // Simple line-of-sight (could add raycast for occlusion)
-      agent.canSeeTarget = true;
+    if (inView) {
+      // Already chasing - keep full awareness; otherwise closer targets are noticed faster
+      if (agent.action === BehaviorAction.CHASE) {
+        agent.awareness = 1;
+      } else {
+        const proximity = 1 - distance / agent.config.sightRange;
+        agent.awareness = Math.min(1, agent.awareness + agent.config.awarenessGain * (0.5 + proximity) * deltaTime);
+      }
+    } else {
+      agent.awareness = Math.max(0, agent.awareness - agent.config.awarenessDecay * deltaTime);
+    }
+    
+    agent.canSeeTarget = inView && agent.awareness >= 1;
+    
+    agent.packAlerted = false;
+    
+    if (agent.canSeeTarget) {
       agent.lastKnownTargetPos.copy(targetPos);
+      agent.lastKnownTargetVelocity.set(agent.target.velocity.x, 0, agent.target.velocity.z);
       agent.timeSinceSeenTarget = 0;
-    } else {
-      agent.canSeeTarget = false;
+      this.recordSighting(agent.target);
+    } else if (this.getSightingAge() <= agent.config.packShareTime) {
+      // A packmate has eyes on the target - head for where it's going
+      agent.packAlerted = true;
+      agent.lastKnownTargetPos.copy(this.getPredictedTargetPosition(this.getSightingAge()));
+      agent.lastKnownTargetVelocity.copy(this.pack.targetHeading);
+      agent.timeSinceSeenTarget = Math.min(agent.timeSinceSeenTarget, this.getSightingAge());
+    } else if (inView && agent.awareness >= agent.config.suspicionThreshold) {
+      // Glimpsed - remember where, so it can be investigated
+      agent.isSuspicious = true;
+      agent.lastKnownTargetPos.copy(targetPos);
+      agent.lastKnownTargetVelocity.set(0, 0, 0);
+      agent.timeSinceSeenTarget = 0;
+    }
+  }
+  
+  /**
+   * Check if the target is in range, inside the facing cone and not occluded
+   * @param {object} agent
+   * @param {THREE.Object3D[]} obstacles
+   * @returns {boolean}
+   */
+  isTargetInView(agent, obstacles) {
+    const player = agent.player;
+    const target = agent.target;
+    
+    // Eye level to target chest height
+    const eyePosition = player.position.clone();
+    eyePosition.y += player.height * 0.8;
+    
+    const targetPos = target.position.clone();
+    targetPos.y += target.height * 0.6;
+    
+    const toTarget = new THREE.Vector3().subVectors(targetPos, eyePosition);
+    const distance = toTarget.length();
+    
+    // Range check
+    if (distance > agent.config.sightRange) return false;
+    
+    // Facing cone check (horizontal)
+    const facing = new THREE.Vector3(Math.sin(player.rotation.y), 0, Math.cos(player.rotation.y));
+    const flatToTarget = new THREE.Vector3(toTarget.x, 0, toTarget.z);
+    if (flatToTarget.lengthSq() > 0.0001) {
+      const halfAngle = THREE.MathUtils.degToRad(agent.config.sightAngle / 2);
+      if (facing.angleTo(flatToTarget) > halfAngle) return false;
     }
+    
+    // Occlusion check against buildings
+    if (obstacles.length > 0) {
+      const raycaster = new THREE.Raycaster(eyePosition, toTarget.normalize(), 0, distance);
+      const intersects = raycaster.intersectObjects(obstacles, true);
+      
+      if (intersects.length > 0 && intersects[0].distance < distance - 0.5) {
+        return false;
+      }
+    }
+    
+    return true;
   }
   
   /**
    * Update AI state machine
+   * Follows the first transition in the agent's behavior whose condition holds
    * @param {object} agent
    * @param {number} deltaTime
    */
   updateState(agent, deltaTime) {
     agent.previousState = agent.state;
+    agent.stateTime += deltaTime;
     
     // Track time since seeing target
     if (!agent.canSeeTarget) {
       agent.timeSinceSeenTarget += deltaTime;
     }
     
+    // A fresh lead restarts the search from the new position
+    if (agent.canSeeTarget || agent.isSuspicious || agent.heardNoise || agent.packAlerted) {
+      agent.search = null;
+    }
+    
     // State transitions
-    if (agent.canSeeTarget) {
-      // Can see target - chase!
-      agent.state = AIState.CHASE;
-    } else if (agent.state === AIState.CHASE) {
-      // Lost sight - switch to hunt
-      agent.state = AIState.HUNT;
-    } else if (agent.state === AIState.HUNT) {
-      // Hunting - give up after timeout
-      if (agent.timeSinceSeenTarget > agent.config.lostTargetTime) {
-        agent.state = AIState.PATROL;
-      }
-    } else if (agent.state === AIState.IDLE) {
-      // Start patrolling
-      agent.state = AIState.PATROL;
+    const next = getNextState(agent.behavior, agent);
+    if (next && next !== agent.state) {
+      this.setState(agent, next);
     }
+    
+    agent.heardNoise = false;
   }
   
   /**
-   * Idle behavior - do nothing
+   * Enter a state of the agent's behavior
    * @param {object} agent
-   * @param {number} deltaTime
+   * @param {string} state
    */
-  behaviorIdle(agent, deltaTime) {
-    this.stopMovement(agent);
+  setState(agent, state) {
+    agent.state = state;
+    agent.action = agent.behavior.states[state].action;
+    agent.stateTime = 0;
+    agent.search = null;
+    agent.climbGoal = null;
+  }
+  
+  /**
+   * Put an agent back at its spawn for a new round
+   * Starts on patrol if the behavior has one, else in its initial state
+   * @param {object} agent
+   */
+  resetAgent(agent) {
+    const states = agent.behavior.states;
+    this.setState(agent, states[AIState.PATROL] ? AIState.PATROL : agent.behavior.initial);
     
-    // Transition to patrol after a moment
-    agent.patrolWaitTimer += deltaTime;
-    if (agent.patrolWaitTimer > 1) {
-      agent.state = AIState.PATROL;
-      agent.patrolWaitTimer = 0;
+    agent.spawnPosition.copy(agent.player.position);
+    agent.awareness = 0;
+    agent.timeSinceSeenTarget = Infinity;
+    agent.ambushTimer = 0;
+    this.clearPath(agent);
+  }
+  
+  /**
+   * Let every agent in range hear a noise
+   * @param {THREE.Vector3} position - Noise origin
+   * @param {number} loudness - Multiplier on hearing range (1 = normal)
+   */
+  emitNoise(position, loudness = 1) {
+    for (const agent of this.agents.values()) {
+      this.hearNoise(agent, position, loudness);
     }
   }
   
+  /**
+   * Hear a noise - remember a rough position to hunt toward
+   * @param {object} agent
+   * @param {THREE.Vector3} position
+   * @param {number} loudness
+   */
+  hearNoise(agent, position, loudness) {
+    if (!agent.player.isAlive || agent.canSeeTarget) return;
+    
+    const range = agent.config.hearingRange * loudness;
+    const distance = agent.player.position.distanceTo(position);
+    if (distance > range) return;
+    
+    // Farther noises are harder to pin down
+    const error = agent.config.noiseUncertainty * (distance / range);
+    const angle = this.random() * Math.PI * 2;
+    const offset = this.random() * error;
+    
+    agent.lastKnownTargetPos.set(
+      position.x + Math.cos(angle) * offset,
+      position.y,
+      position.z + Math.sin(angle) * offset
+    );
+    agent.lastKnownTargetVelocity.set(0, 0, 0);
+    agent.timeSinceSeenTarget = 0;
+    agent.heardNoise = true;
+  }
+  
+  /**
+   * Idle behavior - do nothing
+   * @param {object} agent
+   */
+  behaviorIdle(agent) {
+    this.setManeuver(agent, Maneuver.NONE);
+    this.stopMovement(agent);
+  }
+  
+  /**
+   * Wait behavior - hold position (frozen, or a scripted pause)
+   * @param {object} agent
+   */
+  behaviorWait(agent) {
+    this.setManeuver(agent, Maneuver.NONE);
+    this.stopMovement(agent);
+  }
+  
   /**
    * Patrol behavior - wander around spawn area
    * @param {object} agent
@@ -247,6 +682,14 @@ class ComputerPlayer {
    */
   behaviorPatrol(agent, deltaTime, obstacles) {
     const player = agent.player;
+    this.setManeuver(agent, Maneuver.NONE);
+    
+    // Back from a chase / hunt - rejoin the route where it's closest
+    if (agent.route && !agent.onRoute) {
+      this.resumeRoute(agent);
+    }
+    agent.onRoute = true;
+    
     const distToTarget = player.position.distanceTo(agent.patrolTarget);
     
     // Reached patrol target?
@@ -254,19 +697,27 @@ class ComputerPlayer {
       agent.patrolWaitTimer += deltaTime;
       this.stopMovement(agent);
       
-      // Wait, then pick new target
-      if (agent.patrolWaitTimer > agent.config.patrolWaitTime) {
+      // Wait (routes only pause at intersections), then pick new target
+      if (agent.patrolWaitTimer > this.getPatrolWaitTime(agent)) {
         this.setNewPatrolTarget(agent);
         agent.patrolWaitTimer = 0;
       }
       return;
     }
     
-    // Move toward patrol target
-    agent.moveDirection.subVectors(agent.patrolTarget, player.position).normalize();
     agent.currentSpeed = agent.config.patrolSpeed;
     
-    // Obstacle avoidance
+    // Move toward patrol target along the nav grid
+    if (this.followPath(agent, agent.patrolTarget, deltaTime)) return;
+    
+    // Unreachable (e.g. across the canyon) - pick somewhere else
+    if (agent.pathFailed) {
+      this.setNewPatrolTarget(agent);
+      this.clearPath(agent);
+      return;
+    }
+    
+    agent.moveDirection.subVectors(agent.patrolTarget, player.position).normalize();
     this.applyObstacleAvoidance(agent, obstacles);
   }
   
@@ -294,15 +745,28 @@ class ComputerPlayer {
       agent.lastKnownTargetPos.copy(targetPos);
     }
     
-    // Move toward target
+    // Head straight at the target first - used to decide on climbing
     agent.moveDirection.subVectors(agent.lastKnownTargetPos, player.position);
     agent.moveDirection.y = 0; // Keep horizontal
     agent.moveDirection.normalize();
     
     agent.currentSpeed = agent.config.chaseSpeed;
     
-    // Obstacle avoidance
-    this.applyObstacleAvoidance(agent, obstacles);
+    // Climb if it shortens the chase, otherwise follow the nav grid
+    if (this.updateManeuver(agent, agent.lastKnownTargetPos, obstacles)) return;
+    
+    // Approach from this gargoyle's pack role angle, preferring cells out of view
+    const destination = this.getRoleDestination(agent);
+    const viewCost = this.getViewCostFunction(agent, obstacles);
+    if (!this.followPath(agent, destination, deltaTime, viewCost)) {
+      agent.moveDirection.subVectors(destination, player.position);
+      agent.moveDirection.y = 0;
+      agent.moveDirection.normalize();
+      this.applyObstacleAvoidance(agent, obstacles);
+    }
+    
+    // Hold behind cover while the next step is watched, rush when the target looks away
+    this.updateStealth(agent, deltaTime, obstacles);
   }
   
   /**
@@ -313,105 +777,946 @@ class ComputerPlayer {
    */
   behaviorHunt(agent, deltaTime, obstacles) {
     const player = agent.player;
+    
+    // Trail's gone cold - search around it
+    if (agent.search) {
+      this.behaviorSearch(agent, deltaTime, obstacles);
+      return;
+    }
+    
     const distToLastKnown = player.position.distanceTo(agent.lastKnownTargetPos);
     
-    // Reached last known position?
-    if (distToLastKnown < 3) {
-      // Look around (could add rotation search)
-      agent.patrolWaitTimer += deltaTime;
+    // Reached last known position, can't get there, or taking too long - start searching
+    const unreachable = this.isPathFailedTo(agent, agent.lastKnownTargetPos);
+    if (distToLastKnown < 3 || unreachable || agent.timeSinceSeenTarget > agent.config.lostTargetTime) {
+      this.startSearch(agent);
       this.stopMovement(agent);
-      
-      if (agent.patrolWaitTimer > 1) {
-        // Give up and go back to patrol
-        agent.state = AIState.PATROL;
-        agent.patrolWaitTimer = 0;
-      }
       return;
     }
     
-    // Move toward last known position
+    // Head straight at the last known position first - used to decide on climbing
     agent.moveDirection.subVectors(agent.lastKnownTargetPos, player.position);
     agent.moveDirection.y = 0;
     agent.moveDirection.normalize();
     
     agent.currentSpeed = agent.config.huntSpeed;
     
-    // Obstacle avoidance
-    this.applyObstacleAvoidance(agent, obstacles);
+    // Climb if it shortens the search, otherwise follow the nav grid
+    if (this.updateManeuver(agent, agent.lastKnownTargetPos, obstacles)) return;
+    if (!this.followPath(agent, agent.lastKnownTargetPos, deltaTime)) {
+      this.applyObstacleAvoidance(agent, obstacles);
+    }
   }
   
   /**
-   * Set a new random patrol target
+   * Climb behavior - scale the nearest building and keep watch from its roof
    * @param {object} agent
+   * @param {number} deltaTime
+   * @param {THREE.Object3D[]} obstacles
    */
-  setNewPatrolTarget(agent) {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * agent.config.patrolRadius;
+  behaviorClimb(agent, deltaTime, obstacles) {
+    const player = agent.player;
     
-    agent.patrolTarget.set(
-      agent.spawnPosition.x + Math.cos(angle) * distance,
-      agent.spawnPosition.y,
-      agent.spawnPosition.z + Math.sin(angle) * distance
-    );
+    if (!agent.climbGoal) {
+      agent.climbGoal = this.findNearestRoof(agent, obstacles);
+    }
+    
+    const goal = agent.climbGoal;
+    if (!goal) {
+      this.behaviorWait(agent);
+      return;
+    }
+    
+    // Up top - slowly turn to watch every direction
+    const onRoof = player.isGrounded && !player.isClimbing && player.position.y >= goal.y - 0.5;
+    if (onRoof) {
+      this.behaviorWait(agent);
+      player.targetRotation += agent.config.lookoutTurnSpeed * deltaTime;
+      return;
+    }
+    
+    agent.moveDirection.subVectors(goal, player.position);
+    agent.moveDirection.y = 0;
+    agent.moveDirection.normalize();
+    
+    agent.currentSpeed = agent.config.huntSpeed;
+    
+    // Walk up to the wall along the nav grid, then straight at it until the climb starts
+    if (this.updateManeuver(agent, goal, obstacles)) return;
+    this.followPath(agent, goal, deltaTime);
   }
   
   /**
-   * Simple obstacle avoidance using raycasts
+   * Center of the nearest roof the agent has the stamina to climb to
    * @param {object} agent
    * @param {THREE.Object3D[]} obstacles
+   * @returns {THREE.Vector3|null}
    */
-  applyObstacleAvoidance(agent, obstacles) {
-    if (obstacles.length === 0) return;
-    
+  findNearestRoof(agent, obstacles) {
     const player = agent.player;
-    const raycaster = new THREE.Raycaster();
+    const position = player.position;
+    const box = new THREE.Box3();
     
-    // Cast rays in movement direction and to sides
-    const directions = [
-      agent.moveDirection.clone(),
-      agent.moveDirection.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 4),
-      agent.moveDirection.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), -Math.PI / 4)
-    ];
+    // Only players with abilities (gargoyles) can climb
+    if (!player.abilities) return null;
     
-    const avoidance = new THREE.Vector3();
-    const origin = player.position.clone();
-    origin.y += player.height / 2;
+    let nearest = null;
+    let nearestDist = Infinity;
     
-    for (const dir of directions) {
-      raycaster.set(origin, dir);
-      raycaster.far = agent.config.avoidanceDistance;
+    for (const obstacle of obstacles) {
+      // Statues block sight but are no lookout
+      if (obstacle.userData.category === MeshCategory.PROP) continue;
       
-      const intersects = raycaster.intersectObjects(obstacles, true);
+      box.setFromObject(obstacle);
       
-      if (intersects.length > 0) {
-        const hit = intersects[0];
-        const avoidDir = new THREE.Vector3()
-          .subVectors(origin, hit.point)
-          .normalize();
-        
-        const strength = 1 - (hit.distance / agent.config.avoidanceDistance);
-        avoidance.addScaledVector(avoidDir, strength * agent.config.avoidanceStrength);
+      const climbTime = (box.max.y - position.y) / player.climbSpeed;
+      if (!player.hasStaminaFor('climb', climbTime * agent.config.maneuverStaminaMargin)) continue;
+      
+      const dist = box.distanceToPoint(position);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = box.getCenter(new THREE.Vector3()).setY(box.max.y);
       }
     }
     
-    // Apply avoidance to movement direction
-    if (avoidance.lengthSq() > 0) {
-      agent.moveDirection.add(avoidance);
-      agent.moveDirection.y = 0;
-      agent.moveDirection.normalize();
-    }
+    return nearest;
   }
   
   /**
-   * Stop agent movement
+   * Stalk behavior - shadow the target from a distance, out of its view where possible
    * @param {object} agent
+   * @param {number} deltaTime
+   * @param {THREE.Object3D[]} obstacles
    */
-  stopMovement(agent) {
-    agent.currentSpeed = 0;
-    agent.moveDirection.set(0, 0, 0);
+  behaviorStalk(agent, deltaTime, obstacles) {
+    const player = agent.player;
+    const config = agent.config;
+    const targetPos = agent.target.position;
+    this.setManeuver(agent, Maneuver.NONE);
     
-    // Stop player input
-    agent.player.input.forward = 0;
+    agent.lastKnownTargetPos.copy(targetPos);
+    
+    // Stand off along the line from the target to us
+    const away = new THREE.Vector3().subVectors(player.position, targetPos);
+    away.y = 0;
+    const distance = away.length();
+    
+    // Close enough to the stalk distance - hold and watch
+    if (Math.abs(distance - config.stalkDistance) <= config.stalkTolerance) {
+      this.stopMovement(agent);
+      player.targetRotation = Math.atan2(targetPos.x - player.position.x, targetPos.z - player.position.z);
+      return;
+    }
+    
+    if (distance > 0.0001) {
+      away.divideScalar(distance);
+    } else {
+      away.copy(this.getTargetFacing(agent.target)).negate();
+    }
+    const destination = targetPos.clone().addScaledVector(away, config.stalkDistance);
+    this.snapToWalkable(destination);
+    
+    agent.currentSpeed = config.huntSpeed;
+    
+    if (!this.followPath(agent, destination, deltaTime, this.getViewCostFunction(agent, obstacles))) {
+      agent.moveDirection.subVectors(destination, player.position);
+      agent.moveDirection.y = 0;
+      agent.moveDirection.normalize();
+      this.applyObstacleAvoidance(agent, obstacles);
+    }
+  }
+  
+  /**
+   * Set the next patrol target - next route waypoint, or a random point near spawn
+   * @param {object} agent
+   */
+  setNewPatrolTarget(agent) {
+    if (agent.route) {
+      agent.routeIndex = (agent.routeIndex + 1) % agent.route.waypoints.length;
+      this.setRouteTarget(agent);
+      return;
+    }
+    
+    const angle = this.random() * Math.PI * 2;
+    const distance = this.random() * agent.config.patrolRadius;
+    
+    agent.patrolTarget.set(
+      agent.spawnPosition.x + Math.cos(angle) * distance,
+      agent.spawnPosition.y,
+      agent.spawnPosition.z + Math.sin(angle) * distance
+    );
+    
+    // Keep patrol targets on walkable ground
+    this.snapToWalkable(agent.patrolTarget);
+  }
+  
+  // ==========================================================================
+  // SEARCH - Looking for a target that got away
+  // ==========================================================================
+  
+  /**
+   * Plan a search around the last known position
+   * Where the target vanished first, then where it was heading, then nearby
+   * hollow buildings, then rings that widen until the search times out
+   * @param {object} agent
+   */
+  startSearch(agent) {
+    const config = agent.config;
+    const origin = agent.lastKnownTargetPos.clone();
+    
+    const search = {
+      origin,
+      timer: 0,
+      spots: [{ position: origin.clone(), facing: null }],
+      spotIndex: 0,
+      sweepTimer: 0,
+      sweepFacing: 0,
+      ring: 0
+    };
+    
+    // Where it was going
+    const predicted = origin.clone().addScaledVector(agent.lastKnownTargetVelocity, config.searchPredictTime);
+    if (predicted.distanceTo(origin) > config.waypointRadius) {
+      search.spots.push({ position: this.snapToWalkable(predicted), facing: null });
+    }
+    
+    // Nearby hollow buildings - stand outside the door and look in (doors face -Z)
+    const doorways = this.doorways
+      .map(door => ({ door, dist: Math.hypot(door.x - origin.x, door.z - origin.z) }))
+      .filter(entry => entry.dist <= config.searchDoorwayRange)
+      .sort((a, b) => a.dist - b.dist);
+    
+    for (const { door } of doorways) {
+      const position = new THREE.Vector3(door.x, origin.y, door.z - config.searchDoorwayStandoff);
+      search.spots.push({ position: this.snapToWalkable(position), facing: 0 });
+    }
+    
+    agent.search = search;
+  }
+  
+  /**
+   * Walk between search spots and sweep the view at each one
+   * @param {object} agent
+   * @param {number} deltaTime
+   * @param {THREE.Object3D[]} obstacles
+   */
+  behaviorSearch(agent, deltaTime, obstacles) {
+    const player = agent.player;
+    const search = agent.search;
+    const config = agent.config;
+    
+    search.timer += deltaTime;
+    
+    // Out of places to look - widen the search
+    if (search.spotIndex >= search.spots.length) {
+      this.addSearchRing(agent);
+    }
+    
+    const spot = search.spots[search.spotIndex];
+    const distToSpot = Math.hypot(spot.position.x - player.position.x, spot.position.z - player.position.z);
+    
+    // At the spot - look left and right
+    if (distToSpot < 2 || search.sweepTimer > 0) {
+      if (search.sweepTimer === 0) {
+        search.sweepFacing = spot.facing ?? player.rotation.y;
+      }
+      
+      search.sweepTimer += deltaTime;
+      this.stopMovement(agent);
+      
+      const phase = (search.sweepTimer / config.searchSweepTime) * Math.PI * 2;
+      const halfAngle = THREE.MathUtils.degToRad(config.searchSweepAngle) / 2;
+      player.targetRotation = search.sweepFacing + Math.sin(phase) * halfAngle;
+      
+      if (search.sweepTimer >= config.searchSweepTime) {
+        search.sweepTimer = 0;
+        search.spotIndex++;
+      }
+      return;
+    }
+    
+    // Can't get there - try the next spot
+    if (this.isPathFailedTo(agent, spot.position)) {
+      search.spotIndex++;
+      return;
+    }
+    
+    agent.moveDirection.subVectors(spot.position, player.position);
+    agent.moveDirection.y = 0;
+    agent.moveDirection.normalize();
+    
+    agent.currentSpeed = config.huntSpeed;
+    
+    if (this.updateManeuver(agent, spot.position, obstacles)) return;
+    if (!this.followPath(agent, spot.position, deltaTime)) {
+      this.applyObstacleAvoidance(agent, obstacles);
+    }
+  }
+  
+  /**
+   * Add the next, wider ring of search spots around the origin
+   * Starts on the side nearest the agent and works around
+   * @param {object} agent
+   */
+  addSearchRing(agent) {
+    const search = agent.search;
+    const config = agent.config;
+    const origin = search.origin;
+    const position = agent.player.position;
+    
+    search.ring++;
+    const radius = config.searchRadius + (search.ring - 1) * config.searchRadiusGrowth;
+    const startAngle = Math.atan2(position.z - origin.z, position.x - origin.x);
+    
+    for (let i = 0; i < config.searchRingSpots; i++) {
+      const angle = startAngle + (i / config.searchRingSpots) * Math.PI * 2;
+      const spot = new THREE.Vector3(
+        origin.x + Math.cos(angle) * radius,
+        origin.y,
+        origin.z + Math.sin(angle) * radius
+      );
+      search.spots.push({ position: this.snapToWalkable(spot), facing: null });
+    }
+  }
+  
+  /**
+   * Move a position (in place) to the center of the nearest walkable nav cell
+   * @param {THREE.Vector3} position
+   * @returns {THREE.Vector3} The same position
+   */
+  snapToWalkable(position) {
+    if (!this.navGrid) return position;
+    
+    const cell = this.navGrid.worldToCell(position.x, position.z);
+    const walkable = this.navGrid.findNearestWalkable(cell.x, cell.z);
+    if (walkable) {
+      const center = this.navGrid.cellToWorld(walkable.x, walkable.z);
+      position.x = center.x;
+      position.z = center.z;
+    }
+    
+    return position;
+  }
+  
+  // ==========================================================================
+  // PATROL ROUTES - Walking the streets
+  // ==========================================================================
+  
+  /**
+   * Give an agent the closest reachable route, spreading agents across routes
+   * @param {object} agent
+   */
+  assignRoute(agent) {
+    agent.route = null;
+    if (this.patrolRoutes.length === 0) return;
+    
+    // How many other agents already walk each route
+    const taken = new Map();
+    for (const other of this.agents.values()) {
+      if (other !== agent && other.route) {
+        taken.set(other.route, (taken.get(other.route) || 0) + 1);
+      }
+    }
+    
+    let best = null;
+    let bestScore = Infinity;
+    
+    for (const route of this.patrolRoutes) {
+      if (route.waypoints.length === 0) continue;
+      
+      const nearest = route.waypoints[this.findNearestWaypoint(route, agent.spawnPosition)];
+      const distance = Math.hypot(nearest.x - agent.spawnPosition.x, nearest.z - agent.spawnPosition.z);
+      
+      // Shared routes count as far away, so each gargoyle gets its own streets first
+      const score = distance + (taken.get(route) || 0) * 1000;
+      if (score >= bestScore) continue;
+      
+      // Skip routes that can't be walked to (other side of the canyon)
+      if (this.navGrid && !this.navGrid.findPath(agent.spawnPosition, nearest)) continue;
+      
+      best = route;
+      bestScore = score;
+    }
+    
+    agent.route = best;
+    if (best) {
+      this.resumeRoute(agent);
+    }
+  }
+  
+  /**
+   * Re-deal routes to every agent from their spawn points (new round)
+   */
+  assignRoutes() {
+    for (const agent of this.agents.values()) {
+      agent.route = null;
+    }
+    
+    for (const agent of this.agents.values()) {
+      this.assignRoute(agent);
+      if (!agent.route) {
+        this.setNewPatrolTarget(agent);
+      }
+    }
+  }
+  
+  /**
+   * Head for the route waypoint nearest to the agent
+   * @param {object} agent
+   */
+  resumeRoute(agent) {
+    agent.routeIndex = this.findNearestWaypoint(agent.route, agent.player.position);
+    agent.patrolWaitTimer = 0;
+    this.setRouteTarget(agent);
+  }
+  
+  /**
+   * Index of the route waypoint closest to a position
+   * @param {object} route
+   * @param {THREE.Vector3} position
+   * @returns {number}
+   */
+  findNearestWaypoint(route, position) {
+    let nearest = 0;
+    let nearestDist = Infinity;
+    
+    route.waypoints.forEach((waypoint, i) => {
+      const dist = Math.hypot(waypoint.x - position.x, waypoint.z - position.z);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = i;
+      }
+    });
+    
+    return nearest;
+  }
+  
+  /**
+   * Set the patrol target to the current route waypoint
+   * @param {object} agent
+   */
+  setRouteTarget(agent) {
+    const waypoint = agent.route.waypoints[agent.routeIndex];
+    agent.patrolTarget.set(waypoint.x, agent.spawnPosition.y, waypoint.z);
+  }
+  
+  /**
+   * How long to wait at the current patrol target
+   * @param {object} agent
+   * @returns {number} Seconds
+   */
+  getPatrolWaitTime(agent) {
+    if (!agent.route) return agent.config.patrolWaitTime;
+    return agent.route.waypoints[agent.routeIndex].pause ? agent.config.intersectionWaitTime : 0;
+  }
+  
+  // ==========================================================================
+  // NAVIGATION - Following nav grid waypoints
+  // ==========================================================================
+  
+  /**
+   * Steer along a nav grid path toward a destination, re-planning when it moves
+   * @param {object} agent
+   * @param {THREE.Vector3} destination
+   * @param {number} deltaTime
+   * @param {function} extraCost - Optional nav grid cost function (forces periodic re-plans)
+   * @returns {boolean} True if steering along a path (false = no path, steer directly)
+   */
+  followPath(agent, destination, deltaTime, extraCost = null) {
+    if (!this.navGrid) return false;
+    
+    const player = agent.player;
+    
+    // Re-plan (throttled) when the destination has moved
+    agent.replanTimer += deltaTime;
+    const goalMoved = Math.hypot(
+      destination.x - agent.pathGoal.x,
+      destination.z - agent.pathGoal.z
+    ) > agent.config.replanDistance;
+    
+    // Costs that follow the target's gaze go stale, so re-plan on a timer too
+    const costStale = extraCost && agent.replanTimer >= agent.config.viewReplanInterval;
+    
+    if ((goalMoved || costStale) && agent.replanTimer >= agent.config.chaseUpdateInterval) {
+      agent.path = this.navGrid.findPath(player.position, destination, extraCost);
+      agent.pathIndex = 0;
+      agent.pathGoal.copy(destination);
+      agent.pathFailed = agent.path === null;
+      agent.replanTimer = 0;
+    }
+    
+    if (!agent.path) return false;
+    
+    // Skip waypoints we've reached
+    while (agent.pathIndex < agent.path.length) {
+      const waypoint = agent.path[agent.pathIndex];
+      const dist = Math.hypot(waypoint.x - player.position.x, waypoint.z - player.position.z);
+      if (dist > agent.config.waypointRadius) break;
+      agent.pathIndex++;
+    }
+    
+    // End of path - final approach is direct
+    if (agent.pathIndex >= agent.path.length) return false;
+    
+    const waypoint = agent.path[agent.pathIndex];
+    agent.moveDirection.set(waypoint.x - player.position.x, 0, waypoint.z - player.position.z).normalize();
+    return true;
+  }
+  
+  /**
+   * Whether the last plan toward this destination found no route
+   * @param {object} agent
+   * @param {THREE.Vector3} destination
+   * @returns {boolean}
+   */
+  isPathFailedTo(agent, destination) {
+    if (!agent.pathFailed) return false;
+    return Math.hypot(destination.x - agent.pathGoal.x, destination.z - agent.pathGoal.z) <= agent.config.replanDistance;
+  }
+  
+  /**
+   * Forget the current path (forces a re-plan)
+   * @param {object} agent
+   */
+  clearPath(agent) {
+    agent.path = null;
+    agent.pathIndex = 0;
+    agent.pathGoal.set(Infinity, 0, Infinity);
+    agent.pathFailed = false;
+    agent.replanTimer = Infinity;
+  }
+  
+  // ==========================================================================
+  // PACK - Shared blackboard and approach roles
+  // ==========================================================================
+  
+  /**
+   * Record a sighting of the target on the pack blackboard
+   * @param {Player} target
+   */
+  recordSighting(target) {
+    const pack = this.pack;
+    
+    pack.hasSighting = true;
+    pack.lastSighting.copy(target.position);
+    pack.lastSightingTime = pack.time;
+    pack.targetHeading.set(target.velocity.x, 0, target.velocity.z);
+    
+    pack.targetFacing.copy(this.getTargetFacing(target));
+  }
+  
+  /**
+   * Seconds since any gargoyle last saw the target
+   * @returns {number}
+   */
+  getSightingAge() {
+    return this.pack.hasSighting ? this.pack.time - this.pack.lastSightingTime : Infinity;
+  }
+  
+  /**
+   * Where the target should be, extrapolated along its heading
+   * @param {number} leadTime - Seconds past the last sighting
+   * @returns {THREE.Vector3}
+   */
+  getPredictedTargetPosition(leadTime) {
+    return this.pack.lastSighting.clone().addScaledVector(this.pack.targetHeading, leadTime);
+  }
+  
+  /**
+   * Refresh frozen packmates and hand out approach roles
+   * Nearest pursuer stalks, the next flanks, the next blocks, then repeat
+   */
+  updatePack() {
+    const pack = this.pack;
+    const pursuers = [];
+    
+    pack.frozen.clear();
+    
+    for (const agent of this.agents.values()) {
+      if (agent.player.isFrozen) {
+        pack.frozen.add(agent.player.id);
+      }
+      
+      const pursuing = agent.action === BehaviorAction.CHASE || agent.action === BehaviorAction.HUNT;
+      if (pursuing && !agent.player.isFrozen && pack.hasSighting) {
+        pursuers.push(agent);
+      } else {
+        agent.role = PackRole.NONE;
+      }
+    }
+    
+    pursuers.sort((a, b) =>
+      a.player.position.distanceToSquared(pack.lastSighting) -
+      b.player.position.distanceToSquared(pack.lastSighting)
+    );
+    
+    const rotation = [PackRole.STALKER, PackRole.FLANKER, PackRole.BLOCKER];
+    pursuers.forEach((agent, i) => {
+      agent.role = rotation[i % rotation.length];
+    });
+  }
+  
+  /**
+   * Where a pursuing agent should head given its pack role
+   * @param {object} agent
+   * @returns {THREE.Vector3}
+   */
+  getRoleDestination(agent) {
+    const pack = this.pack;
+    const player = agent.player;
+    const targetPos = agent.lastKnownTargetPos;
+    
+    // Close in directly when near, or while a packmate is frozen (the target is busy watching it)
+    const distance = player.position.distanceTo(targetPos);
+    if (agent.role === PackRole.NONE || distance < agent.config.roleCommitDistance || pack.frozen.size > 0) {
+      return targetPos;
+    }
+    
+    const offset = agent.config.roleApproachDistance;
+    const facing = pack.targetFacing;
+    
+    switch (agent.role) {
+      case PackRole.STALKER:
+        // Behind the target, out of its view
+        return targetPos.clone().addScaledVector(facing, -offset);
+        
+      case PackRole.FLANKER: {
+        // To the target's side - whichever side we're already on
+        const side = new THREE.Vector3(-facing.z, 0, facing.x);
+        const toAgent = new THREE.Vector3().subVectors(player.position, targetPos);
+        if (side.dot(toAgent) < 0) side.negate();
+        return targetPos.clone().addScaledVector(side, offset);
+      }
+        
+      case PackRole.BLOCKER:
+        // Ahead of where the target is going
+        return this.getPredictedTargetPosition(this.getSightingAge() + agent.config.blockerLeadTime);
+    }
+    
+    return targetPos;
+  }
+  
+  /**
+   * Reset the pack blackboard (new round)
+   */
+  resetPack() {
+    this.pack.time = 0;
+    this.pack.hasSighting = false;
+    this.pack.frozen.clear();
+    
+    for (const agent of this.agents.values()) {
+      agent.role = PackRole.NONE;
+    }
+  }
+  
+  // ==========================================================================
+  // STEALTH - Staying out of the target's view
+  // ==========================================================================
+  
+  /**
+   * Horizontal direction the target is looking
+   * @param {Player} target
+   * @returns {THREE.Vector3}
+   */
+  getTargetFacing(target) {
+    if (target.getFacingDirection) {
+      return target.getFacingDirection();
+    }
+    return new THREE.Vector3(Math.sin(target.rotation.y), 0, Math.cos(target.rotation.y));
+  }
+  
+  /**
+   * Check if a point is inside the target's view cone
+   * @param {object} agent
+   * @param {THREE.Vector3} point - Feet position to test
+   * @param {THREE.Object3D[]} obstacles - If given, buildings in the way hide the point
+   * @returns {boolean}
+   */
+  isInTargetView(agent, point, obstacles = null) {
+    const target = agent.target;
+    if (!target || !target.isAlive) return false;
+    
+    // Eyes shut mid-blink - nothing is in view
+    if (target.isBlinking) return false;
+    
+    const fov = target.fov || { angle: 90, distance: 50 };
+    
+    const eye = target.position.clone();
+    eye.y += target.height * 0.8;
+    
+    const chest = point.clone();
+    chest.y += agent.player.height * 0.6;
+    
+    const toPoint = new THREE.Vector3().subVectors(chest, eye);
+    const distance = toPoint.length();
+    if (distance > fov.distance) return false;
+    
+    // Cone check (horizontal)
+    const flat = new THREE.Vector3(toPoint.x, 0, toPoint.z);
+    if (flat.lengthSq() > 0.0001) {
+      const halfAngle = THREE.MathUtils.degToRad(fov.angle / 2) * agent.config.viewConeMargin;
+      if (this.getTargetFacing(target).angleTo(flat) > halfAngle) return false;
+    }
+    
+    // Occlusion check
+    if (obstacles && obstacles.length > 0) {
+      const raycaster = new THREE.Raycaster(eye, toPoint.normalize(), 0, distance);
+      const intersects = raycaster.intersectObjects(obstacles, true);
+      if (intersects.length > 0 && intersects[0].distance < distance - 0.5) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Note where the target is looking relative to the agent
+   * Cone only, so an agent behind cover still counts as watched
+   * @param {object} agent
+   */
+  updateTargetGaze(agent) {
+    const target = agent.target;
+    if (!target || !target.isAlive) {
+      agent.isWatched = false;
+      agent.targetLookingAway = false;
+      return;
+    }
+    
+    agent.isWatched = this.isInTargetView(agent, agent.player.position);
+    
+    const toAgent = new THREE.Vector3().subVectors(agent.player.position, target.position);
+    toAgent.y = 0;
+    agent.targetLookingAway = target.isBlinking || (toAgent.lengthSq() > 0.0001 &&
+      this.getTargetFacing(target).angleTo(toAgent) > THREE.MathUtils.degToRad(agent.config.rushAngle));
+  }
+  
+  /**
+   * Nav grid cost function that penalizes cells the target can see
+   * Only cells inside the view cone and not hidden behind obstacles are penalized, so
+   * paths hug cover. Visibility is cached per nav cell (sampled at its center) - path
+   * smoothing probes many points per cell - and a new function is built per plan.
+   * @param {object} agent
+   * @param {THREE.Object3D[]} obstacles - Objects that block the target's line of sight
+   * @returns {function|null} (worldX, worldZ) => cost, or null when gaze is ignored
+   */
+  getViewCostFunction(agent, obstacles = []) {
+    const penalty = agent.config.viewPathPenalty * (1 - agent.config.aggression);
+    if (penalty <= 0 || !agent.target) return null;
+    
+    const point = new THREE.Vector3();
+    const y = agent.target.position.y;
+    const visibleCells = new Map();
+    
+    return (x, z) => {
+      const navGrid = this.navGrid;
+      const cell = navGrid ? navGrid.worldToCell(x, z) : { x, z };
+      const key = `${cell.x},${cell.z}`;
+      let visible = visibleCells.get(key);
+      if (visible === undefined) {
+        const center = navGrid ? navGrid.cellToWorld(cell.x, cell.z) : cell;
+        visible = this.isInTargetView(agent, point.set(center.x, y, center.z), obstacles);
+        visibleCells.set(key, visible);
+      }
+      return visible ? penalty : 0;
+    };
+  }
+  
+  /**
+   * Decide whether to hide, move or rush based on the target's gaze
+   * @param {object} agent
+   * @param {number} deltaTime
+   * @param {THREE.Object3D[]} obstacles
+   */
+  updateStealth(agent, deltaTime, obstacles) {
+    const config = agent.config;
+    const player = agent.player;
+    
+    if (config.aggression >= 1 || agent.currentSpeed <= 0) {
+      agent.stealth = Stealth.NONE;
+      agent.coverTimer = 0;
+      return;
+    }
+    
+    const ahead = player.position.clone().addScaledVector(agent.moveDirection, config.coverPeekDistance);
+    const watchedNow = this.isInTargetView(agent, player.position, obstacles);
+    const watchedAhead = !watchedNow && this.isInTargetView(agent, ahead, obstacles);
+    
+    // Next step walks into view - hold behind cover (less patiently when aggressive)
+    if (watchedAhead) {
+      agent.coverTimer += deltaTime;
+      if (agent.coverTimer < config.maxCoverWait * (1 - config.aggression)) {
+        agent.stealth = Stealth.HIDING;
+        this.stopMovement(agent);
+        return;
+      }
+    } else {
+      agent.coverTimer = 0;
+    }
+    
+    // Target looking away - rush in at full sprint
+    if (!watchedNow && agent.targetLookingAway) {
+      agent.stealth = Stealth.RUSHING;
+      agent.currentSpeed = Math.max(agent.currentSpeed, this.getMovementSpeeds(player).sprintSpeed);
+    } else {
+      agent.stealth = Stealth.NONE;
+    }
+  }
+  
+  // ==========================================================================
+  // MANEUVERS - Deciding when to climb or glide
+  // ==========================================================================
+  
+  /**
+   * Pick a climb / glide maneuver toward a destination
+   * @param {object} agent
+   * @param {THREE.Vector3} destination
+   * @param {THREE.Object3D[]} obstacles
+   * @returns {boolean} True if the agent is climbing (skip obstacle avoidance)
+   */
+  updateManeuver(agent, destination, obstacles) {
+    const player = agent.player;
+    
+    // Only players with abilities (gargoyles) can maneuver
+    if (!player.abilities) return false;
+    
+    // Already on a wall - keep going until the movement layer mantles or stamina runs out
+    if (player.isClimbing) {
+      this.setManeuver(agent, Maneuver.CLIMB);
+      return true;
+    }
+    
+    // Already in the air with wings open - ride it out
+    if (player.isGliding) {
+      this.setManeuver(agent, Maneuver.GLIDE);
+      return false;
+    }
+    
+    const margin = agent.config.maneuverStaminaMargin;
+    
+    // --- Glide: target is well below, drop off the roof toward it ---
+    const drop = player.position.y - destination.y;
+    if (drop >= agent.config.glideMinDrop) {
+      const glideTime = drop / player.glideFallSpeed;
+      if (player.hasStaminaFor('glide', glideTime * margin)) {
+        this.setManeuver(agent, Maneuver.GLIDE);
+        return false;
+      }
+    }
+    
+    // --- Climb: a building blocks the way, go over it instead of around ---
+    if (player.isGrounded) {
+      const wallTop = this.findBlockingWallTop(agent, destination, obstacles);
+      if (wallTop !== null) {
+        const climbTime = (wallTop - player.position.y) / player.climbSpeed;
+        if (player.hasStaminaFor('climb', climbTime * margin)) {
+          this.setManeuver(agent, Maneuver.CLIMB);
+          return true;
+        }
+      }
+    }
+    
+    this.setManeuver(agent, Maneuver.NONE);
+    return false;
+  }
+  
+  /**
+   * Find a wall directly ahead that stands between the agent and its destination
+   * @param {object} agent
+   * @param {THREE.Vector3} destination
+   * @param {THREE.Object3D[]} obstacles
+   * @returns {number|null} World Y of the wall's top, or null if nothing blocks
+   */
+  findBlockingWallTop(agent, destination, obstacles) {
+    if (obstacles.length === 0 || agent.moveDirection.lengthSq() === 0) return null;
+    
+    const player = agent.player;
+    const origin = player.position.clone();
+    origin.y += player.height / 2;
+    
+    const raycaster = new THREE.Raycaster(origin, agent.moveDirection, 0, agent.config.climbProbeDistance);
+    const intersects = raycaster.intersectObjects(obstacles, true);
+    if (intersects.length === 0) return null;
+    
+    // Wall must be closer than the destination, or it's not in the way
+    const hit = intersects[0];
+    const horizontalDist = Math.hypot(destination.x - origin.x, destination.z - origin.z);
+    if (hit.distance >= horizontalDist) return null;
+    
+    const bounds = new THREE.Box3().setFromObject(hit.object);
+    return bounds.max.y;
+  }
+  
+  /**
+   * Set the agent's maneuver and the matching player abilities
+   * @param {object} agent
+   * @param {string} maneuver - Maneuver value
+   */
+  setManeuver(agent, maneuver) {
+    agent.maneuver = maneuver;
+    
+    const abilities = agent.player.abilities;
+    if (!abilities) return;
+    
+    abilities.climb = maneuver === Maneuver.CLIMB;
+    abilities.glide = maneuver === Maneuver.GLIDE;
+  }
+  
+  /**
+   * Simple obstacle avoidance using raycasts
+   * @param {object} agent
+   * @param {THREE.Object3D[]} obstacles
+   */
+  applyObstacleAvoidance(agent, obstacles) {
+    if (obstacles.length === 0) return;
+    
+    const player = agent.player;
+    const raycaster = new THREE.Raycaster();
+    
+    // Cast rays in movement direction and to sides
+    const directions = [
+      agent.moveDirection.clone(),
+      agent.moveDirection.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 4),
+      agent.moveDirection.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), -Math.PI / 4)
+    ];
+    
+    const avoidance = new THREE.Vector3();
+    const origin = player.position.clone();
+    origin.y += player.height / 2;
+    
+    for (const dir of directions) {
+      raycaster.set(origin, dir);
+      raycaster.far = agent.config.avoidanceDistance;
+      
+      const intersects = raycaster.intersectObjects(obstacles, true);
+      
+      if (intersects.length > 0) {
+        const hit = intersects[0];
+        const avoidDir = new THREE.Vector3()
+          .subVectors(origin, hit.point)
+          .normalize();
+        
+        const strength = 1 - (hit.distance / agent.config.avoidanceDistance);
+        avoidance.addScaledVector(avoidDir, strength * agent.config.avoidanceStrength);
+      }
+    }
+    
+    // Apply avoidance to movement direction
+    if (avoidance.lengthSq() > 0) {
+      agent.moveDirection.add(avoidance);
+      agent.moveDirection.y = 0;
+      agent.moveDirection.normalize();
+    }
+  }
+  
+  /**
+   * Stop agent movement
+   * @param {object} agent
+   */
+  stopMovement(agent) {
+    agent.currentSpeed = 0;
+    agent.moveDirection.set(0, 0, 0);
+    
+    // Stop player input
+    agent.player.input.forward = 0;
     agent.player.input.right = 0;
     agent.player.input.sprint = false;
   }
@@ -436,13 +1741,30 @@ class ComputerPlayer {
     const targetAngle = Math.atan2(agent.moveDirection.x, agent.moveDirection.z);
     player.targetRotation = targetAngle;
     
-    // Set forward input based on speed ratio
-    const speedRatio = agent.currentSpeed / player.speed;
+    // Sprint if chasing and speed is high
+    const { speed, sprintSpeed } = this.getMovementSpeeds(player);
+    const hasStamina = player.canSprint ? player.canSprint() : true;
+    const maneuvering = agent.maneuver !== Maneuver.NONE;
+    player.input.sprint = agent.action === BehaviorAction.CHASE && agent.currentSpeed > speed && hasStamina && !maneuvering;
+    
+    // Set forward input based on speed ratio (fraction of walk or sprint speed)
+    const speedRatio = agent.currentSpeed / (player.input.sprint ? sprintSpeed : speed);
     player.input.forward = Math.min(1, speedRatio);
     player.input.right = 0;
-    
-    // Sprint if chasing and speed is high
-    player.input.sprint = agent.state === AIState.CHASE && agent.currentSpeed > player.speed;
+  }
+  
+  /**
+   * Walk and sprint speeds the physics will actually move a player at
+   * Reads the physics profile so archetype overrides stay in sync with input scaling
+   * @param {Player} player
+   * @returns {{speed: number, sprintSpeed: number}}
+   */
+  getMovementSpeeds(player) {
+    const profile = physicsMovements.getProfile(player.id);
+    if (profile) {
+      return { speed: profile.speed, sprintSpeed: profile.sprintSpeed };
+    }
+    return { speed: player.speed, sprintSpeed: player.speed * player.sprintMultiplier };
   }
   
   /**
@@ -457,8 +1779,13 @@ class ComputerPlayer {
     return {
       state: agent.state,
       canSeeTarget: agent.canSeeTarget,
+      awareness: agent.awareness,
       timeSinceSeenTarget: agent.timeSinceSeenTarget.toFixed(1),
-      speed: agent.currentSpeed.toFixed(1)
+      speed: agent.currentSpeed.toFixed(1),
+      waypoint: agent.path ? `${agent.pathIndex}/${agent.path.length}` : 'none',
+      maneuver: agent.maneuver,
+      role: agent.role,
+      stealth: agent.stealth
     };
   }
   
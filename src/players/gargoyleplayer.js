@@ -41,7 +41,11 @@ const GARGOYLE_CONFIG = {
   maxStamina: 100,
   staminaRegen: 15,        // Per second when not using abilities
   sprintStaminaCost: 20,   // Per second
-  climbStaminaCost: 15     // Per second
+  climbStaminaCost: 15,    // Per second
+  windedRecovery: 0.5,     // Stamina fraction needed to sprint again after running dry
+  
+  // Attack (health mode - otherwise a hit catches the target outright)
+  attackDamage: 34         // Three hits to bring a full-health target down
 };
 
 class GargoylePlayer extends Player {
@@ -51,10 +55,15 @@ class GargoylePlayer extends Player {
       type: PlayerType.GARGOYLE,
       name: options.name || 'Gargoyle',
       speed: options.speed || GARGOYLE_CONFIG.walkSpeed,
-      sprintMultiplier: GARGOYLE_CONFIG.sprintSpeed / GARGOYLE_CONFIG.walkSpeed,
+      sprintMultiplier: (options.sprintSpeed || GARGOYLE_CONFIG.sprintSpeed) / (options.speed || GARGOYLE_CONFIG.walkSpeed),
       jumpForce: options.jumpForce || 10
     });
     
+    // Ability speeds (read by the movement profile)
+    this.climbSpeed = options.climbSpeed || GARGOYLE_CONFIG.climbSpeed;
+    this.glideSpeed = options.glideSpeed || GARGOYLE_CONFIG.glideSpeed;
+    this.glideFallSpeed = options.glideFallSpeed || GARGOYLE_CONFIG.glideFallSpeed;
+    
     // Gargoyle-specific state
     this.gargoyleState = GargoyleState.IDLE;
     
@@ -63,12 +72,25 @@ class GargoylePlayer extends Player {
     this.isBeingObserved = false;
     this.freezeTimer = 0;
     this.unfreezeTimer = 0;
+    this.freezeDelay = options.freezeDelay ?? GARGOYLE_CONFIG.freezeDelay;
+    this.unfreezeDelay = options.unfreezeDelay ?? GARGOYLE_CONFIG.unfreezeDelay;
     this.frozenPosition = new THREE.Vector3();
     this.frozenRotation = 0;
+    this.frozenVelocity = new THREE.Vector3(); // Restored on unfreeze
+    this.RAPIER = null;                         // For switching body types
+    
+    // Posing as a statue (stone look even while unfrozen, until revealed)
+    this.isDisguised = false;
     
     // Stamina system
-    this.stamina = GARGOYLE_CONFIG.maxStamina;
-    this.maxStamina = GARGOYLE_CONFIG.maxStamina;
+    this.maxStamina = options.maxStamina || GARGOYLE_CONFIG.maxStamina;
+    this.stamina = this.maxStamina;
+    this.staminaRegen = options.staminaRegen || GARGOYLE_CONFIG.staminaRegen;
+    this.isWinded = false;    // Ran dry sprinting - no sprint until partly recovered
+    
+    // Archetype (see archetypes.js) and body color
+    this.archetype = options.archetype || null;
+    this.tint = options.tint ?? null;
     
     // Climbing state
     this.isClimbing = false;
@@ -91,9 +113,27 @@ class GargoylePlayer extends Player {
     
     // Reference to target player for attack
     this.targetPlayer = null;
-    this.attackRange = 2;
+    this.attackRange = options.attackRange ?? 2;
     this.attackCooldown = 0;
     this.attackCooldownTime = 1;
+    this.attackDamage = options.attackDamage ?? GARGOYLE_CONFIG.attackDamage;
+  }
+  
+  /**
+   * Initialize, then apply the tint to the loaded model
+   * @param {THREE.Scene} scene
+   * @param {RAPIER.World} physicsWorld
+   * @param {RAPIER} RAPIER
+   * @returns {Promise}
+   */
+  async init(scene, physicsWorld, RAPIER) {
+    this.RAPIER = RAPIER;
+    await super.init(scene, physicsWorld, RAPIER);
+    
+    if (this.tint !== null) {
+      this.setTint(this.tint);
+    }
+    return this;
   }
   
   /**
@@ -114,7 +154,7 @@ class GargoylePlayer extends Player {
       this.unfreezeTimer = 0;
       this.freezeTimer += deltaTime;
       
-      if (!this.isFrozen && this.freezeTimer >= GARGOYLE_CONFIG.freezeDelay) {
+      if (!this.isFrozen && this.freezeTimer >= this.freezeDelay) {
         this.freeze();
       }
     } else {
@@ -122,7 +162,7 @@ class GargoylePlayer extends Player {
       this.freezeTimer = 0;
       this.unfreezeTimer += deltaTime;
       
-      if (this.isFrozen && this.unfreezeTimer >= GARGOYLE_CONFIG.unfreezeDelay) {
+      if (this.isFrozen && this.unfreezeTimer >= this.unfreezeDelay) {
         this.unfreeze();
       }
     }
@@ -141,11 +181,11 @@ class GargoylePlayer extends Player {
     this.frozenPosition.copy(this.position);
     this.frozenRotation = this.rotation.y;
     
-    // Stop physics movement
+    // Turn to stone - a solid obstacle nothing can push
     if (this.physicsBody) {
-      this.physicsBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
-      // Make kinematic to prevent being pushed
-      // this.physicsBody.setBodyType(RAPIER.RigidBodyType.KinematicPositionBased);
+      const linvel = this.physicsBody.linvel();
+      this.frozenVelocity.set(linvel.x, linvel.y, linvel.z);
+      this.setBodyKinematic(true);
     }
     
     // Apply frozen visual (stone texture)
@@ -166,15 +206,68 @@ class GargoylePlayer extends Player {
     this.isFrozen = false;
     this.gargoyleState = GargoyleState.IDLE;
     
-    // Restore physics
+    // Restore physics, carrying on as it was when frozen
     if (this.physicsBody) {
-      // this.physicsBody.setBodyType(RAPIER.RigidBodyType.Dynamic);
+      this.setBodyKinematic(false);
+      this.physicsBody.setLinvel({
+        x: this.frozenVelocity.x,
+        y: this.frozenVelocity.y,
+        z: this.frozenVelocity.z
+      }, true);
     }
     
-    // Remove frozen visual
-    this.applyFrozenVisual(false);
+    // Remove frozen visual (a disguise keeps the stone look)
+    this.applyFrozenVisual(this.isDisguised);
     
     // Resume animations
+    if (this.mixer && !this.isDisguised) {
+      this.mixer.timeScale = 1;
+    }
+  }
+  
+  /**
+   * Switch the physics body between kinematic (frozen) and dynamic
+   * @param {boolean} kinematic
+   */
+  setBodyKinematic(kinematic) {
+    if (!this.physicsBody || !this.RAPIER) return;
+    
+    const type = kinematic
+      ? this.RAPIER.RigidBodyType.KinematicPositionBased
+      : this.RAPIER.RigidBodyType.Dynamic;
+    
+    if (this.physicsBody.bodyType() === type) return;
+    
+    this.physicsBody.setBodyType(type, true);
+    if (kinematic) {
+      this.physicsBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    }
+  }
+  
+  /**
+   * Pose as a statue - looks frozen until revealed
+   */
+  disguise() {
+    this.isDisguised = true;
+    this.applyFrozenVisual(true);
+    
+    if (this.mixer) {
+      this.mixer.timeScale = 0;
+    }
+  }
+  
+  /**
+   * Drop the statue pose
+   */
+  reveal() {
+    if (!this.isDisguised) return;
+    
+    this.isDisguised = false;
+    
+    // Still watched - stay stone until the normal unfreeze
+    if (this.isFrozen) return;
+    
+    this.applyFrozenVisual(false);
     if (this.mixer) {
       this.mixer.timeScale = 1;
     }
@@ -211,6 +304,61 @@ class GargoylePlayer extends Player {
     });
   }
   
+  /**
+   * Take on an archetype's stats and tint (see archetypes.js)
+   * Re-register the movement profile afterwards so the new speeds apply
+   * @param {object} archetype - { id, stats, tint }
+   */
+  applyArchetype(archetype) {
+    const stats = archetype.stats;
+    
+    this.archetype = archetype.id;
+    this.speed = stats.speed || GARGOYLE_CONFIG.walkSpeed;
+    this.sprintMultiplier = (stats.sprintSpeed || GARGOYLE_CONFIG.sprintSpeed) / this.speed;
+    this.climbSpeed = stats.climbSpeed || GARGOYLE_CONFIG.climbSpeed;
+    this.glideSpeed = stats.glideSpeed || GARGOYLE_CONFIG.glideSpeed;
+    this.glideFallSpeed = stats.glideFallSpeed || GARGOYLE_CONFIG.glideFallSpeed;
+    this.maxStamina = stats.maxStamina || GARGOYLE_CONFIG.maxStamina;
+    this.staminaRegen = stats.staminaRegen || GARGOYLE_CONFIG.staminaRegen;
+    this.stamina = this.maxStamina;
+    this.isWinded = false;
+    
+    this.setTint(archetype.tint);
+  }
+  
+  /**
+   * Recolor the body (the frozen stone look stays the same for every gargoyle)
+   * @param {number|null} color - Hex color, or null for the palette default
+   */
+  setTint(color) {
+    this.tint = color;
+    if (!this.mesh) return;
+    
+    const tint = color ?? PLAYERS.gargoyle.normal;
+    
+    this.mesh.traverse((child) => {
+      if (!child.isMesh) return;
+      
+      // Tint the live material, not the stone one swapped in while frozen
+      const material = child.userData.originalMaterial || child.material;
+      if (!material.color) return;
+      
+      // Own copy, so other gargoyles sharing the model keep their colors
+      if (!child.userData.tinted) {
+        const own = material.clone();
+        if (child.userData.originalMaterial) {
+          child.userData.originalMaterial = own;
+        } else {
+          child.material = own;
+        }
+        child.userData.tinted = true;
+        own.color.setHex(tint);
+      } else {
+        material.color.setHex(tint);
+      }
+    });
+  }
+  
   /**
    * Check if gargoyle can climb at current position
    * @param {RAPIER.World} world
@@ -299,16 +447,16 @@ class GargoylePlayer extends Player {
   
   /**
    * Start gliding
+   * @param {number} heightAboveGround - Distance to the ground below (from a downward ray)
    */
-  startGliding() {
+  startGliding(heightAboveGround = Infinity) {
     if (this.isFrozen || this.isGrounded || this.stamina <= 0) return;
     
-    // Check minimum height
-    // For now, just check if falling
-    if (this.velocity.y < 0) {
-      this.isGliding = true;
-      this.gargoyleState = GargoyleState.GLIDING;
-    }
+    // Need room below to open wings
+    if (heightAboveGround < GARGOYLE_CONFIG.minGlideHeight) return;
+    
+    this.isGliding = true;
+    this.gargoyleState = GargoyleState.GLIDING;
   }
   
   /**
@@ -319,6 +467,17 @@ class GargoylePlayer extends Player {
     this.gargoyleState = this.isGrounded ? GargoyleState.IDLE : GargoyleState.FALLING;
   }
   
+  /**
+   * Check if there is enough stamina to use an ability for a while
+   * @param {string} ability - 'climb' or 'glide'
+   * @param {number} seconds - Expected duration
+   * @returns {boolean}
+   */
+  hasStaminaFor(ability, seconds) {
+    const cost = ability === 'climb' ? GARGOYLE_CONFIG.climbStaminaCost : GARGOYLE_CONFIG.glideStaminaCost;
+    return this.stamina >= cost * seconds;
+  }
+  
   /**
    * Update stamina
    * @param {number} deltaTime
@@ -345,14 +504,28 @@ class GargoylePlayer extends Player {
       if (this.stamina <= 0) {
         if (this.isClimbing) this.stopClimbing();
         if (this.isGliding) this.stopGliding();
+        this.isWinded = true;
       }
     } else if (!this.isFrozen) {
       // Regenerate stamina when not using abilities
       this.stamina = Math.min(
         this.maxStamina,
-        this.stamina + GARGOYLE_CONFIG.staminaRegen * deltaTime
+        this.stamina + this.staminaRegen * deltaTime
       );
     }
+    
+    // Sprints come in bursts - wait to catch breath after running dry
+    if (this.isWinded && this.stamina >= this.maxStamina * GARGOYLE_CONFIG.windedRecovery) {
+      this.isWinded = false;
+    }
+  }
+  
+  /**
+   * Check if there is stamina left to sprint
+   * @returns {boolean}
+   */
+  canSprint() {
+    return this.stamina > 0 && !this.isWinded;
   }
   
   /**
@@ -366,9 +539,9 @@ class GargoylePlayer extends Player {
     
     const distance = this.position.distanceTo(this.targetPlayer.position);
     
-    if (distance <= this.attackRange) {
+    // A blow into the target's invulnerability window doesn't land
+    if (distance <= this.attackRange && this.targetPlayer.receiveAttack(this)) {
       this.attackCooldown = this.attackCooldownTime;
-      this.targetPlayer.onCaught();
       console.log('GARGOYLE ATTACKS!');
       return true;
     }
@@ -379,22 +552,14 @@ class GargoylePlayer extends Player {
   /**
    * Override update for gargoyle-specific logic
    * @param {number} deltaTime
+   * @param {number} alpha - Physics interpolation alpha
    */
-  update(deltaTime) {
+  update(deltaTime, alpha = 1) {
     // Update freeze state
     this.updateFreezeState(deltaTime);
     
-    // If frozen, don't process movement
+    // If frozen, don't process movement (the kinematic body holds position)
     if (this.isFrozen) {
-      // Keep position locked
-      if (this.physicsBody) {
-        this.physicsBody.setTranslation({
-          x: this.frozenPosition.x,
-          y: this.frozenPosition.y + this.height / 2,
-          z: this.frozenPosition.z
-        }, true);
-        this.physicsBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
-      }
       return;
     }
     
@@ -406,22 +571,13 @@ class GargoylePlayer extends Player {
       this.attackCooldown -= deltaTime;
     }
     
-    // Handle gliding
-    if (this.abilities.glide && !this.isGrounded && !this.isClimbing) {
-      if (!this.isGliding) {
-        this.startGliding();
-      }
-    } else if (this.isGliding) {
-      this.stopGliding();
-    }
-    
     // Disable sprint if no stamina
     if (this.stamina <= 0) {
       this.input.sprint = false;
     }
     
     // Call parent update
-    super.update(deltaTime);
+    super.update(deltaTime, alpha);
     
     // Update gargoyle state
     this.updateGargoyleState();
@@ -450,6 +606,42 @@ class GargoylePlayer extends Player {
     this.gargoyleState = this.state;
   }
   
+  /**
+   * Override state update so abilities show as CLIMBING / GLIDING
+   */
+  updateState() {
+    super.updateState();
+    
+    if (!this.isAlive) return;
+    
+    if (this.isClimbing) {
+      this.state = PlayerState.CLIMBING;
+    } else if (this.isGliding) {
+      this.state = PlayerState.GLIDING;
+    }
+  }
+  
+  /**
+   * Respawn and clear ability state
+   * @param {THREE.Vector3} position
+   */
+  respawn(position) {
+    this.isClimbing = false;
+    this.climbSurface = null;
+    this.isGliding = false;
+    this.stamina = this.maxStamina;
+    this.isWinded = false;
+    this.isDisguised = false;
+    
+    // Back to a dynamic body, standing still
+    this.frozenVelocity.set(0, 0, 0);
+    this.unfreeze();
+    this.freezeTimer = 0;
+    this.unfreezeTimer = 0;
+    
+    super.respawn(position);
+  }
+  
   /**
    * Get debug info
    * @returns {object}
@@ -457,8 +649,10 @@ class GargoylePlayer extends Player {
   getDebugInfo() {
     return {
       frozen: this.isFrozen,
+      disguised: this.isDisguised,
       observed: this.isBeingObserved,
-      stamina: `${Math.round(this.stamina)}/${this.maxStamina}`,
+      archetype: this.archetype,
+      stamina: `${Math.round(this.stamina)}/${this.maxStamina}${this.isWinded ? ' winded' : ''}`,
       climbing: this.isClimbing,
       gliding: this.isGliding,
       state: this.gargoyleState,
@@ -48,6 +48,7 @@ class Player {
     
     // Transform
     this.position = new THREE.Vector3(0, 0, 0);
+    this.previousPosition = new THREE.Vector3(0, 0, 0); // Feet position before the last physics step
     this.rotation = new THREE.Euler(0, 0, 0);
     this.targetRotation = 0;    // Y rotation we're lerping toward
     this.rotationSpeed = 10;    // How fast to turn
@@ -56,6 +57,9 @@ class Player {
     // Player dimensions (for physics capsule)
     this.height = options.height || 1.8;
     this.radius = options.radius || 0.4;
+    this.standingHeight = this.height;
+    this.crouchHeight = Math.max(options.crouchHeight || this.height * 0.6, this.radius * 2);
+    this.isCrouching = false;
     
     // State
     this.state = PlayerState.IDLE;
@@ -85,8 +89,8 @@ class Player {
     // Registry ID
     this.registryId = null;
     
-    // Model path
-    this.modelPath = options.modelPath || '/GladpolyE.glb';
+    // Model path (null = keep the placeholder capsule, e.g. headless)
+    this.modelPath = options.modelPath !== undefined ? options.modelPath : '/GladpolyE.glb';
     
     // Loading state
     this.isLoaded = false;
@@ -108,10 +112,12 @@ class Player {
     this.createPlaceholder();
     
     // Load the GLB model
-    try {
-      await this.loadModel();
-    } catch (error) {
-      console.warn(`Failed to load model for ${this.name}, using placeholder:`, error);
+    if (this.modelPath) {
+      try {
+        await this.loadModel();
+      } catch (error) {
+        console.warn(`Failed to load model for ${this.name}, using placeholder:`, error);
+      }
     }
     
     // Create physics body
@@ -280,6 +286,9 @@ class Player {
    */
   setPosition(x, y, z) {
     this.position.set(x, y, z);
+    
+    // A teleport, not a move - don't interpolate across it
+    this.previousPosition.copy(this.position);
     this.group.position.copy(this.position);
     
     if (this.physicsBody) {
@@ -300,6 +309,60 @@ class Player {
     this.group.rotation.y = angle;
   }
   
+  /**
+   * Crouch or stand up - resizes the capsule, keeping the feet in place
+   * Callers check for headroom first (see PhysicsMovements.updateCrouch)
+   * @param {boolean} crouching
+   */
+  setCrouching(crouching) {
+    if (crouching === this.isCrouching) return;
+    
+    this.isCrouching = crouching;
+    this.resizeCapsule(crouching ? this.crouchHeight : this.standingHeight);
+  }
+  
+  /**
+   * Change the capsule height (collider and debug wireframe)
+   * @param {number} height - New total height
+   */
+  resizeCapsule(height) {
+    const feet = this.physicsBody ? this.physicsBody.translation().y - this.height / 2 : this.position.y;
+    const halfHeight = (height - this.radius * 2) / 2;
+    
+    this.height = height;
+    
+    if (this.collider) {
+      this.collider.setHalfHeight(halfHeight);
+    }
+    
+    if (this.physicsBody) {
+      const translation = this.physicsBody.translation();
+      this.physicsBody.setTranslation({ x: translation.x, y: feet + height / 2, z: translation.z }, true);
+    }
+    
+    // Swap the debug wireframe for one of the new size
+    if (this.debugCapsule) {
+      const visible = this.debugCapsule.visible;
+      this.group.remove(this.debugCapsule);
+      this.debugCapsule.traverse((child) => child.geometry?.dispose());
+      
+      const index = physicsMeshers.debugMeshes.indexOf(this.debugCapsule);
+      this.debugCapsule = physicsMeshers.createDebugCapsule(
+        new THREE.Vector3(0, height / 2, 0),
+        this.radius,
+        halfHeight
+      );
+      this.debugCapsule.visible = visible;
+      this.group.add(this.debugCapsule);
+      
+      if (index >= 0) {
+        physicsMeshers.debugMeshes[index] = this.debugCapsule;
+      } else {
+        physicsMeshers.debugMeshes.push(this.debugCapsule);
+      }
+    }
+  }
+  
   /**
    * Update player state based on conditions
    */
@@ -355,18 +418,29 @@ class Player {
     action.reset().fadeIn(fadeTime).play();
   }
   
+  /**
+   * Remember the physics position before a fixed step (for render interpolation)
+   */
+  storePhysicsState() {
+    if (!this.physicsBody) return;
+    
+    const translation = this.physicsBody.translation();
+    this.previousPosition.set(translation.x, translation.y - this.height / 2, translation.z);
+  }
+  
   /**
    * Update player (call every frame)
    * @param {number} deltaTime
+   * @param {number} alpha - Interpolation between previous and current physics step (0-1)
    */
-  update(deltaTime) {
+  update(deltaTime, alpha = 1) {
     if (!this.isLoaded) return;
     
-    // Sync position from physics
+    // Sync position from physics; visuals blend between the last two steps
     if (this.physicsBody) {
       const translation = this.physicsBody.translation();
       this.position.set(translation.x, translation.y - this.height / 2, translation.z);
-      this.group.position.copy(this.position);
+      this.group.position.lerpVectors(this.previousPosition, this.position, THREE.MathUtils.clamp(alpha, 0, 1));
       
       // Get velocity
       const linvel = this.physicsBody.linvel();
@@ -431,11 +505,20 @@ class Player {
     this.health = this.maxHealth;
     this.isAlive = true;
     this.state = PlayerState.IDLE;
+    this.setCrouching(false);
     
     if (position) {
       this.setPosition(position.x, position.y, position.z);
     }
     
+    // Start the new life at rest, with no old position to interpolate from
+    if (this.physicsBody) {
+      this.physicsBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    }
+    this.velocity.set(0, 0, 0);
+    this.previousPosition.copy(this.position);
+    this.group.position.copy(this.position);
+    
     console.log(`${this.name} respawned`);
   }
   
@@ -0,0 +1,322 @@
+/**
+ * TargetBot - Scripted controller for the target player
+ * Walks the nav grid from trophy to trophy and glances at nearby gargoyles to freeze them.
+ * Stands in for mouse and keyboard when matches are simulated headless.
+ */
+
+import * as THREE from 'three';
+
+// Bot configuration
+const TARGETBOT_CONFIG = {
+  // Looking around
+  threatRange: 25,          // Gargoyles closer than this are worth a glance
+  glanceInterval: 2.5,      // Seconds between looks over the shoulder
+  glanceTime: 1.2,          // Seconds spent watching a threat per glance
+  blinkBelow: 0.5,          // Blink between glances once the blink meter drops under this
+  
+  // Walking
+  waypointRadius: 1.5,      // Distance at which a waypoint counts as reached
+  replanInterval: 1,        // Seconds between path re-plans
+  stuckTime: 4,             // Seconds without progress before giving up on a trophy
+  stuckDistance: 1,         // Progress needed within stuckTime
+  doorwayStandoff: 2,       // Walk this far past a doorway when leaving a building
+  
+  // Camera (drives the target's field of view)
+  cameraFov: 75,
+  cameraAspect: 16 / 9,
+  eyeHeight: 0.8            // Fraction of player height (matches TargetPlayer line of sight)
+};
+
+class TargetBot {
+  constructor() {
+    this.player = null;
+    this.navGrid = null;
+    this.doorways = [];
+    
+    // Stand-in for the game camera - TargetPlayer uses it for FOV checks
+    this.camera = new THREE.PerspectiveCamera(
+      TARGETBOT_CONFIG.cameraFov,
+      TARGETBOT_CONFIG.cameraAspect,
+      0.1,
+      1000
+    );
+    
+    // Output for the movement layer
+    this.moveDirection = new THREE.Vector3();
+    
+    this.reset();
+  }
+  
+  /**
+   * Take control of a target player
+   * @param {TargetPlayer} player
+   */
+  setPlayer(player) {
+    this.player = player;
+    player.setCamera(this.camera);
+    this.reset();
+  }
+  
+  /**
+   * Set the navigation grid used for pathfinding
+   * @param {NavGrid} navGrid
+   */
+  setNavGrid(navGrid) {
+    this.navGrid = navGrid;
+  }
+  
+  /**
+   * Set the hollow building doorways (the way out when spawned inside one)
+   * @param {Array<{x: number, z: number, width: number}>} doorways
+   */
+  setDoorways(doorways) {
+    this.doorways = doorways;
+  }
+  
+  /**
+   * Clear goals and timers for a new match
+   */
+  reset() {
+    this.goal = null;
+    this.path = null;
+    this.pathIndex = 0;
+    this.replanTimer = Infinity;
+    this.skipped = [];          // Trophies given up on (unreachable or stuck)
+    
+    this.glanceTimer = 0;
+    this.watching = null;       // Gargoyle being looked at
+    
+    this.stuckTimer = 0;
+    this.stuckCheckPosition = new THREE.Vector3(Infinity, 0, Infinity);
+    
+    this.moveDirection.set(0, 0, 0);
+  }
+  
+  /**
+   * Decide movement and where to look
+   * @param {number} deltaTime
+   * @param {Player[]} gargoyles
+   * @param {THREE.Vector3[]} trophyPositions - Uncollected trophies
+   */
+  update(deltaTime, gargoyles, trophyPositions) {
+    const player = this.player;
+    if (!player || !player.isAlive) {
+      this.moveDirection.set(0, 0, 0);
+      return;
+    }
+    
+    this.updateGoal(trophyPositions);
+    this.updateMovement(deltaTime);
+    this.updateLook(deltaTime, gargoyles);
+  }
+  
+  // ==========================================================================
+  // GOALS - Picking the next trophy
+  // ==========================================================================
+  
+  /**
+   * Head for the nearest trophy that hasn't been collected or skipped
+   * @param {THREE.Vector3[]} trophyPositions
+   */
+  updateGoal(trophyPositions) {
+    const isSkipped = (pos) => this.skipped.some(s => s.distanceTo(pos) < 0.5);
+    
+    // Current goal collected?
+    if (this.goal && !trophyPositions.some(pos => pos.distanceTo(this.goal) < 0.5)) {
+      this.goal = null;
+    }
+    if (this.goal) return;
+    
+    let nearest = null;
+    let nearestDist = Infinity;
+    
+    for (const pos of trophyPositions) {
+      if (isSkipped(pos)) continue;
+      
+      const dist = this.player.position.distanceTo(pos);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = pos;
+      }
+    }
+    
+    this.goal = nearest ? nearest.clone() : null;
+    this.path = null;
+    this.replanTimer = Infinity;
+    this.stuckTimer = 0;
+    this.stuckCheckPosition.copy(this.player.position);
+  }
+  
+  /**
+   * Give up on the current trophy
+   */
+  skipGoal() {
+    this.skipped.push(this.goal);
+    this.goal = null;
+    this.path = null;
+  }
+  
+  // ==========================================================================
+  // MOVEMENT - Following the nav grid
+  // ==========================================================================
+  
+  /**
+   * Steer along a path to the current goal
+   * @param {number} deltaTime
+   */
+  updateMovement(deltaTime) {
+    const config = TARGETBOT_CONFIG;
+    const position = this.player.position;
+    
+    this.moveDirection.set(0, 0, 0);
+    if (!this.goal) return;
+    
+    // Inside a hollow building (off the nav grid) - walk out the door first
+    if (this.navGrid && !this.navGrid.isWalkableAt(position.x, position.z) && this.leaveBuilding()) {
+      return;
+    }
+    
+    // No progress for a while - wedged on something, try another trophy
+    this.stuckTimer += deltaTime;
+    if (this.stuckTimer >= config.stuckTime) {
+      const moved = Math.hypot(position.x - this.stuckCheckPosition.x, position.z - this.stuckCheckPosition.z);
+      if (moved < config.stuckDistance) {
+        this.skipGoal();
+        return;
+      }
+      this.stuckTimer = 0;
+      this.stuckCheckPosition.copy(position);
+    }
+    
+    // Re-plan on a timer (gets us back on track after being pushed around)
+    this.replanTimer += deltaTime;
+    if (this.navGrid && this.replanTimer >= config.replanInterval) {
+      this.path = this.navGrid.findPath(position, this.goal);
+      this.pathIndex = 0;
+      this.replanTimer = 0;
+      
+      if (!this.path) {
+        this.skipGoal();
+        return;
+      }
+    }
+    
+    // Skip waypoints we've reached
+    while (this.path && this.pathIndex < this.path.length) {
+      const waypoint = this.path[this.pathIndex];
+      if (Math.hypot(waypoint.x - position.x, waypoint.z - position.z) > config.waypointRadius) break;
+      this.pathIndex++;
+    }
+    
+    // Final approach (or no nav grid) is direct
+    const next = this.path && this.pathIndex < this.path.length ? this.path[this.pathIndex] : this.goal;
+    this.moveDirection.set(next.x - position.x, 0, next.z - position.z);
+    if (this.moveDirection.lengthSq() > 0.0001) {
+      this.moveDirection.normalize();
+    }
+  }
+  
+  /**
+   * Steer out through the nearest doorway (doors are on the -Z wall)
+   * @returns {boolean} True if steering toward a doorway
+   */
+  leaveBuilding() {
+    const position = this.player.position;
+    
+    let nearest = null;
+    let nearestDist = Infinity;
+    
+    for (const door of this.doorways) {
+      const dist = Math.hypot(door.x - position.x, door.z - position.z);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = door;
+      }
+    }
+    
+    if (!nearest) return false;
+    
+    // Line up with the door from inside, then walk straight through
+    const lined = Math.abs(position.x - nearest.x) < nearest.width / 2 - this.player.radius;
+    const exitZ = lined ? nearest.z - TARGETBOT_CONFIG.doorwayStandoff : nearest.z + TARGETBOT_CONFIG.doorwayStandoff;
+    
+    this.moveDirection.set(nearest.x - position.x, 0, exitZ - position.z).normalize();
+    this.stuckTimer = 0;
+    this.stuckCheckPosition.copy(position);
+    return true;
+  }
+  
+  // ==========================================================================
+  // LOOKING - Aiming the camera
+  // ==========================================================================
+  
+  /**
+   * Look where we're going, with regular glances at the nearest threat
+   * @param {number} deltaTime
+   * @param {Player[]} gargoyles
+   */
+  updateLook(deltaTime, gargoyles) {
+    const config = TARGETBOT_CONFIG;
+    const player = this.player;
+    
+    this.glanceTimer += deltaTime;
+    
+    if (this.watching && this.glanceTimer >= config.glanceTime) {
+      // Done looking - back to the road
+      this.watching = null;
+      this.glanceTimer = 0;
+    } else if (!this.watching && this.glanceTimer >= config.glanceInterval) {
+      this.watching = this.findNearestThreat(gargoyles);
+      this.glanceTimer = 0;
+    }
+    
+    // Blink while nothing is watched, rather than be forced to mid-glance
+    if (!this.watching && player.visibleGargoyles.size === 0 && player.blinkMeter < config.blinkBelow) {
+      player.blink();
+    }
+    
+    const eye = player.position.clone();
+    eye.y += player.height * config.eyeHeight;
+    
+    let lookAt;
+    if (this.watching && this.watching.isAlive) {
+      lookAt = this.watching.position.clone();
+      lookAt.y += this.watching.height * 0.6;
+    } else if (this.moveDirection.lengthSq() > 0) {
+      lookAt = eye.clone().add(this.moveDirection);
+    } else {
+      lookAt = eye.clone().add(player.getFacingDirection());
+    }
+    
+    this.camera.position.copy(eye);
+    this.camera.lookAt(lookAt);
+    this.camera.updateMatrixWorld();
+  }
+  
+  /**
+   * Nearest unfrozen gargoyle within threat range
+   * @param {Player[]} gargoyles
+   * @returns {Player|null}
+   */
+  findNearestThreat(gargoyles) {
+    let nearest = null;
+    let nearestDist = TARGETBOT_CONFIG.threatRange;
+    
+    for (const gargoyle of gargoyles) {
+      if (!gargoyle.isAlive || gargoyle.isFrozen) continue;
+      
+      const dist = gargoyle.position.distanceTo(this.player.position);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = gargoyle;
+      }
+    }
+    
+    return nearest;
+  }
+}
+
+// Export singleton
+const targetBot = new TargetBot();
+export default targetBot;
+export { TargetBot, TARGETBOT_CONFIG };
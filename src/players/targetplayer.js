@@ -5,6 +5,47 @@
 
 import * as THREE from 'three';
 import Player, { PlayerState, PlayerType } from './player.js';
+import physicsMovements from '../physics/physicsmovements.js';
+import { ObservationMode } from '../utilities/observation.js';
+
+// Noise the target makes (loudness multiplies a gargoyle's hearing range)
+const NOISE_CONFIG = {
+  stepInterval: 0.5,       // Seconds between footsteps at walking speed
+  minStepSpeed: 0.5,       // Slower than this makes no footsteps
+  footstep: 0.6,
+  jump: 0.8,
+  land: 1.0,
+  minLandSpeed: 4,         // Falling slower than this lands silently
+  trophy: 1.0,
+  door: 0.7,
+  doorDepth: 1,            // How far from the wall a doorway counts
+  crouchMultiplier: 0.3    // Sneaking scales every noise
+};
+
+// Visibility - how much of a gargoyle has to show before it counts as seen
+const VISIBILITY_CONFIG = {
+  sampleHeights: [0.15, 0.5, 0.85], // Rows of sample points (fractions of gargoyle height)
+  sampleSides: [-1, 0, 1],          // Columns across the body (multiples of its radius, facing the eye)
+  threshold: 0.25,                  // Visible fraction needed to freeze a gargoyle
+  occlusionMargin: 0.5              // Hits this close to a sample point don't block it
+};
+
+// Health mode - gargoyle hits hurt and knock back instead of catching outright
+const DAMAGE_CONFIG = {
+  invulnerableTime: 1.2,   // Seconds after a hit before the next one lands
+  knockbackSpeed: 9,       // Horizontal speed away from the attacker
+  knockbackLift: 4,        // Upward speed (airborne, so the shove carries)
+  knockbackTime: 0.35,     // Seconds without ground friction or steering after a hit
+  regenDelay: 6,           // Seconds without a hit before health regenerates
+  regenRate: 4             // Health per second while regenerating
+};
+
+// Blinking - nobody can stare forever
+const BLINK_CONFIG = {
+  meterDrain: 0.125,       // Meter lost per second while any gargoyle is observed (8s of staring)
+  meterRecovery: 0.25,     // Meter regained per second while none is
+  duration: 0.8            // Seconds the eyes stay shut; must outlast every preset's unfreezeDelay
+};
 
 class TargetPlayer extends Player {
   constructor(options = {}) {
@@ -22,6 +63,8 @@ class TargetPlayer extends Player {
     this.fov = {
       angle: options.fovAngle || 90,        // Degrees - field of view angle
       distance: options.fovDistance || 50,   // How far can see
+      threshold: options.visibilityThreshold ?? VISIBILITY_CONFIG.threshold, // Visible fraction that freezes
+      mode: options.observationMode || ObservationMode.CAMERA,
       enabled: true
     };
     
@@ -38,10 +81,31 @@ class TargetPlayer extends Player {
     
     // Visible gargoyles (updated each frame)
     this.visibleGargoyles = new Set();
+    this.gargoyleVisibility = new Map(); // id -> visible fraction (0-1)
+    
+    // Health mode (off = one touch catches)
+    this.healthMode = options.healthMode || false;
+    this.invulnerableTimer = 0;
+    this.timeSinceHit = Infinity;
+    this.onHit = null;            // (damage, attacker) => {}, non-fatal hits only
+    
+    // Blinking - meter drains while watching, empty forces a blink
+    this.blinkMeter = 1;          // 0-1
+    this.blinkTimer = 0;          // Seconds left with eyes shut
+    this.isBlinking = false;
+    this.onBlink = null;          // (forced) => {}
     
     // Raycaster for line-of-sight checks
     this.raycaster = new THREE.Raycaster();
     this.raycaster.far = this.fov.distance;
+    
+    // Noise
+    this.onNoise = null;          // (position, loudness) => {}
+    this.stepTimer = 0;
+    this.wasGrounded = true;
+    this.fallSpeed = 0;           // Fastest downward speed since leaving the ground
+    this.doorways = [];
+    this.inDoorway = false;
   }
   
   /**
@@ -53,22 +117,52 @@ class TargetPlayer extends Player {
   }
   
   /**
-   * Check if a point is within the player's field of view
+   * Set how observation is decided
+   * @param {string} mode - ObservationMode value
+   */
+  setObservationMode(mode) {
+    if (!Object.values(ObservationMode).includes(mode)) {
+      console.warn(`Unknown observation mode: ${mode}`);
+      return;
+    }
+    
+    this.fov.mode = mode;
+    console.log(`Observation mode: ${mode}`);
+  }
+  
+  /**
+   * Horizontal direction the player is looking
+   * Camera in camera mode (if set), else the character's body rotation
+   * @returns {THREE.Vector3} Normalized XZ direction
+   */
+  getFacingDirection() {
+    const direction = new THREE.Vector3();
+    
+    if (this.camera && this.fov.mode === ObservationMode.CAMERA) {
+      this.camera.getWorldDirection(direction);
+    } else {
+      direction.set(Math.sin(this.rotation.y), 0, Math.cos(this.rotation.y));
+    }
+    
+    direction.y = 0;
+    return direction.lengthSq() > 0.0001 ? direction.normalize() : direction.set(0, 0, 1);
+  }
+  
+  /**
+   * Check if a point is within the player's field of view (per observation mode)
    * @param {THREE.Vector3} point - World position to check
    * @returns {boolean}
    */
   isInFieldOfView(point) {
-    if (!this.camera || !this.fov.enabled) return false;
+    if (!this.fov.enabled) return false;
     
-    // Update frustum from camera
-    this.projScreenMatrix.multiplyMatrices(
-      this.camera.projectionMatrix,
-      this.camera.matrixWorldInverse
-    );
-    this.frustum.setFromProjectionMatrix(this.projScreenMatrix);
+    const mode = this.fov.mode;
     
-    // Check if point is in frustum
-    if (!this.frustum.containsPoint(point)) {
+    if (mode !== ObservationMode.EYES && !this.isInCameraView(point)) {
+      return false;
+    }
+    
+    if (mode !== ObservationMode.CAMERA && !this.isInEyeCone(point)) {
       return false;
     }
     
@@ -82,47 +176,117 @@ class TargetPlayer extends Player {
   }
   
   /**
-   * Check if a gargoyle is visible (in FOV and not occluded)
-   * @param {Player} gargoyle - The gargoyle player
-   * @param {THREE.Object3D[]} obstacles - Objects that can block line of sight
+   * Check if a point is inside the camera frustum
+   * @param {THREE.Vector3} point - World position to check
    * @returns {boolean}
    */
-  canSeeGargoyle(gargoyle, obstacles = []) {
-    if (!this.camera || !this.fov.enabled) return false;
+  isInCameraView(point) {
+    if (!this.camera) return false;
     
-    // Get gargoyle position (at chest height)
-    const gargoylePos = gargoyle.position.clone();
-    gargoylePos.y += gargoyle.height * 0.6;
+    // Update frustum from camera
+    this.projScreenMatrix.multiplyMatrices(
+      this.camera.projectionMatrix,
+      this.camera.matrixWorldInverse
+    );
+    this.frustum.setFromProjectionMatrix(this.projScreenMatrix);
     
-    // First check: is gargoyle in field of view?
-    if (!this.isInFieldOfView(gargoylePos)) {
-      return false;
-    }
+    return this.frustum.containsPoint(point);
+  }
+  
+  /**
+   * Check if a point is inside the character's own view cone
+   * Horizontal only, around the body facing - orbiting the camera doesn't move it
+   * @param {THREE.Vector3} point - World position to check
+   * @returns {boolean}
+   */
+  isInEyeCone(point) {
+    const toPoint = new THREE.Vector3(point.x - this.position.x, 0, point.z - this.position.z);
+    if (toPoint.lengthSq() < 0.0001) return true;
+    
+    const facing = new THREE.Vector3(Math.sin(this.rotation.y), 0, Math.cos(this.rotation.y));
+    return facing.angleTo(toPoint) <= THREE.MathUtils.degToRad(this.fov.angle / 2);
+  }
+  
+  /**
+   * Fraction of a gargoyle that is visible (in FOV and not occluded)
+   * Samples a grid of points over its capsule, each with its own line-of-sight ray
+   * @param {Player} gargoyle - The gargoyle player
+   * @param {THREE.Object3D[]} obstacles - Objects that can block line of sight
+   * @returns {number} 0 (hidden) to 1 (fully in view)
+   */
+  getVisibleFraction(gargoyle, obstacles = []) {
+    if (!this.fov.enabled) return 0;
+    
+    const config = VISIBILITY_CONFIG;
     
-    // Second check: line of sight (raycast for occlusion)
     const eyePosition = this.position.clone();
     eyePosition.y += this.height * 0.8; // Eye level
     
-    const direction = new THREE.Vector3()
-      .subVectors(gargoylePos, eyePosition)
-      .normalize();
-    
-    const distance = eyePosition.distanceTo(gargoylePos);
+    // Sideways across the body, as seen from the eye
+    const side = new THREE.Vector3(
+      gargoyle.position.z - eyePosition.z,
+      0,
+      eyePosition.x - gargoyle.position.x
+    );
+    if (side.lengthSq() > 0.0001) {
+      side.normalize();
+    }
     
-    this.raycaster.set(eyePosition, direction);
-    this.raycaster.far = distance;
+    const point = new THREE.Vector3();
+    const direction = new THREE.Vector3();
+    let visible = 0;
+    let total = 0;
     
-    // Check for obstacles between player and gargoyle
-    if (obstacles.length > 0) {
-      const intersects = this.raycaster.intersectObjects(obstacles, true);
-      
-      // If something is hit before the gargoyle, line of sight is blocked
-      if (intersects.length > 0 && intersects[0].distance < distance - 0.5) {
-        return false;
+    for (const height of config.sampleHeights) {
+      for (const offset of config.sampleSides) {
+        total++;
+        
+        point.copy(gargoyle.position).addScaledVector(side, offset * gargoyle.radius);
+        point.y += gargoyle.height * height;
+        
+        // First check: is the point in field of view?
+        if (!this.isInFieldOfView(point)) continue;
+        
+        // Second check: line of sight (raycast for occlusion)
+        const distance = eyePosition.distanceTo(point);
+        direction.subVectors(point, eyePosition).normalize();
+        
+        this.raycaster.set(eyePosition, direction);
+        this.raycaster.far = distance;
+        
+        if (obstacles.length > 0) {
+          const intersects = this.raycaster.intersectObjects(obstacles, true);
+          
+          // If something is hit before the point, it is hidden
+          if (intersects.length > 0 && intersects[0].distance < distance - config.occlusionMargin) {
+            continue;
+          }
+        }
+        
+        visible++;
       }
     }
     
-    return true;
+    return total > 0 ? visible / total : 0;
+  }
+  
+  /**
+   * Check if enough of a gargoyle is visible to freeze it
+   * @param {Player} gargoyle - The gargoyle player
+   * @param {THREE.Object3D[]} obstacles - Objects that can block line of sight
+   * @returns {boolean}
+   */
+  canSeeGargoyle(gargoyle, obstacles = []) {
+    const fraction = this.getVisibleFraction(gargoyle, obstacles);
+    return fraction > 0 && fraction >= this.fov.threshold;
+  }
+  
+  /**
+   * Set the visible fraction needed to freeze a gargoyle
+   * @param {number} threshold - 0-1
+   */
+  setVisibilityThreshold(threshold) {
+    this.fov.threshold = THREE.MathUtils.clamp(threshold, 0, 1);
   }
   
   /**
@@ -133,11 +297,18 @@ class TargetPlayer extends Player {
    */
   updateVisibleGargoyles(gargoyles, obstacles = []) {
     this.visibleGargoyles.clear();
+    this.gargoyleVisibility.clear();
+    
+    // Eyes shut - nothing is observed
+    if (this.isBlinking) return this.visibleGargoyles;
     
     for (const gargoyle of gargoyles) {
       if (!gargoyle.isAlive) continue;
       
-      if (this.canSeeGargoyle(gargoyle, obstacles)) {
+      const fraction = this.getVisibleFraction(gargoyle, obstacles);
+      this.gargoyleVisibility.set(gargoyle.id, fraction);
+      
+      if (fraction > 0 && fraction >= this.fov.threshold) {
         this.visibleGargoyles.add(gargoyle.id);
       }
     }
@@ -145,11 +316,142 @@ class TargetPlayer extends Player {
     return this.visibleGargoyles;
   }
   
+  /**
+   * Turn health mode on or off
+   * @param {boolean} enabled - True = hits deal damage, false = one touch catches
+   */
+  setHealthMode(enabled) {
+    this.healthMode = enabled;
+    console.log(`Health mode: ${enabled ? 'on' : 'off'}`);
+  }
+  
+  /**
+   * Handle a gargoyle's attack - caught outright, or hurt and knocked back in health mode
+   * @param {GargoylePlayer} attacker
+   * @returns {boolean} True if the attack landed
+   */
+  receiveAttack(attacker) {
+    if (!this.isAlive) return false;
+    
+    if (!this.healthMode) {
+      this.onCaught();
+      return true;
+    }
+    
+    // Still reeling from the last hit
+    if (this.invulnerableTimer > 0) return false;
+    
+    this.invulnerableTimer = DAMAGE_CONFIG.invulnerableTime;
+    this.timeSinceHit = 0;
+    
+    this.knockBack(attacker.position);
+    this.takeDamage(attacker.attackDamage);
+    
+    // The killing blow is reported once, through onCaught
+    if (!this.isAlive) {
+      this.onCaught();
+    } else if (this.onHit) {
+      this.onHit(attacker.attackDamage, attacker);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Shove the player away from a point
+   * @param {THREE.Vector3} from - Where the blow came from
+   */
+  knockBack(from) {
+    if (!this.physicsBody) return;
+    
+    const direction = new THREE.Vector3(this.position.x - from.x, 0, this.position.z - from.z);
+    if (direction.lengthSq() < 0.0001) {
+      direction.copy(this.getFacingDirection()).negate();
+    }
+    direction.normalize();
+    
+    // Impulse = mass * change in velocity
+    const mass = this.physicsBody.mass();
+    physicsMovements.applyKnockback(this, {
+      x: direction.x * DAMAGE_CONFIG.knockbackSpeed * mass,
+      y: DAMAGE_CONFIG.knockbackLift * mass,
+      z: direction.z * DAMAGE_CONFIG.knockbackSpeed * mass
+    }, DAMAGE_CONFIG.knockbackTime);
+  }
+  
+  /**
+   * Count down invulnerability and regenerate health out of combat
+   * @param {number} deltaTime
+   */
+  updateHealth(deltaTime) {
+    if (this.invulnerableTimer > 0) {
+      this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+    }
+    
+    this.timeSinceHit += deltaTime;
+    
+    if (this.timeSinceHit >= DAMAGE_CONFIG.regenDelay && this.health < this.maxHealth) {
+      this.heal(DAMAGE_CONFIG.regenRate * deltaTime);
+    }
+  }
+  
+  /**
+   * Blink - shut the eyes briefly and refill the blink meter
+   * @param {boolean} forced - True when the meter ran dry
+   */
+  blink(forced = false) {
+    if (this.isBlinking || !this.isAlive) return;
+    
+    this.isBlinking = true;
+    this.blinkTimer = BLINK_CONFIG.duration;
+    this.blinkMeter = 1;
+    this.visibleGargoyles.clear();
+    this.gargoyleVisibility.clear();
+    
+    if (this.onBlink) {
+      this.onBlink(forced);
+    }
+  }
+  
+  /**
+   * Drain the blink meter while watching gargoyles, blink when it runs dry
+   * @param {number} deltaTime
+   */
+  updateBlink(deltaTime) {
+    if (this.isBlinking) {
+      this.blinkTimer -= deltaTime;
+      if (this.blinkTimer <= 0) {
+        this.isBlinking = false;
+        this.blinkTimer = 0;
+      }
+      return;
+    }
+    
+    if (this.visibleGargoyles.size > 0) {
+      this.blinkMeter = Math.max(0, this.blinkMeter - BLINK_CONFIG.meterDrain * deltaTime);
+      if (this.blinkMeter <= 0) {
+        this.blink(true);
+      }
+    } else {
+      this.blinkMeter = Math.min(1, this.blinkMeter + BLINK_CONFIG.meterRecovery * deltaTime);
+    }
+  }
+  
+  /**
+   * Reset trophy progress for a new round
+   * @param {number} total - Trophies needed to win
+   */
+  setTrophyGoal(total) {
+    this.trophiesCollected = 0;
+    this.trophiesToWin = total;
+  }
+  
   /**
    * Collect a trophy
    */
   collectTrophy() {
     this.trophiesCollected++;
+    this.makeNoise(NOISE_CONFIG.trophy);
     console.log(`Trophy collected! ${this.trophiesCollected}/${this.trophiesToWin}`);
     
     // Check win condition
@@ -158,6 +460,65 @@ class TargetPlayer extends Player {
     }
   }
   
+  /**
+   * Set the doorways that make noise when passed through
+   * @param {Array<{x: number, z: number, width: number}>} doorways
+   */
+  setDoorways(doorways) {
+    this.doorways = doorways;
+  }
+  
+  /**
+   * Emit a noise at the player's position
+   * @param {number} loudness - Multiplier on hearing range
+   */
+  makeNoise(loudness) {
+    if (!this.onNoise || !this.isAlive) return;
+    
+    const scale = this.input.crouch ? NOISE_CONFIG.crouchMultiplier : 1;
+    this.onNoise(this.position.clone(), loudness * scale);
+  }
+  
+  /**
+   * Emit footstep, jump, land and doorway noises from movement
+   * @param {number} deltaTime
+   */
+  updateNoise(deltaTime) {
+    // Footsteps - faster movement means more frequent steps
+    const horizontalSpeed = Math.hypot(this.velocity.x, this.velocity.z);
+    if (this.isGrounded && horizontalSpeed > NOISE_CONFIG.minStepSpeed) {
+      this.stepTimer += deltaTime * (horizontalSpeed / this.speed);
+      if (this.stepTimer >= NOISE_CONFIG.stepInterval) {
+        this.stepTimer = 0;
+        this.makeNoise(NOISE_CONFIG.footstep);
+      }
+    }
+    
+    // Jump and land
+    if (this.wasGrounded && !this.isGrounded && this.velocity.y > 0) {
+      this.makeNoise(NOISE_CONFIG.jump);
+    }
+    if (!this.isGrounded) {
+      this.fallSpeed = Math.max(this.fallSpeed, -this.velocity.y);
+    } else if (!this.wasGrounded) {
+      if (this.fallSpeed >= NOISE_CONFIG.minLandSpeed) {
+        this.makeNoise(NOISE_CONFIG.land);
+      }
+      this.fallSpeed = 0;
+    }
+    this.wasGrounded = this.isGrounded;
+    
+    // Doorways - noise once when stepping through
+    const inDoorway = this.doorways.some(door =>
+      Math.abs(this.position.x - door.x) < door.width / 2 &&
+      Math.abs(this.position.z - door.z) < NOISE_CONFIG.doorDepth
+    );
+    if (inDoorway && !this.inDoorway) {
+      this.makeNoise(NOISE_CONFIG.door);
+    }
+    this.inDoorway = inDoorway;
+  }
+  
   /**
    * Called when player wins
    */
@@ -174,16 +535,39 @@ class TargetPlayer extends Player {
     this.die();
   }
   
+  /**
+   * Respawn with open eyes and a full blink meter
+   * @param {THREE.Vector3} position
+   */
+  respawn(position) {
+    this.blinkMeter = 1;
+    this.blinkTimer = 0;
+    this.isBlinking = false;
+    
+    this.invulnerableTimer = 0;
+    this.timeSinceHit = Infinity;
+    physicsMovements.cancelKnockback(this.id);
+    
+    super.respawn(position);
+  }
+  
   /**
    * Override update to enforce no sprinting
    * @param {number} deltaTime
+   * @param {number} alpha - Physics interpolation alpha
    */
-  update(deltaTime) {
+  update(deltaTime, alpha = 1) {
     // Force sprint off for target player
     this.input.sprint = false;
     
     // Call parent update
-    super.update(deltaTime);
+    super.update(deltaTime, alpha);
+    
+    if (this.isAlive) {
+      this.updateNoise(deltaTime);
+      this.updateBlink(deltaTime);
+      this.updateHealth(deltaTime);
+    }
   }
   
   /**
@@ -194,6 +578,9 @@ class TargetPlayer extends Player {
     return {
       trophies: `${this.trophiesCollected}/${this.trophiesToWin}`,
       visibleGargoyles: this.visibleGargoyles.size,
+      observation: this.fov.mode,
+      health: this.healthMode ? `${Math.round(this.health)}/${this.maxHealth}${this.invulnerableTimer > 0 ? ' (invulnerable)' : ''}` : 'off',
+      blink: `${Math.round(this.blinkMeter * 100)}%${this.isBlinking ? ' (blinking)' : ''}`,
       position: `${this.position.x.toFixed(1)}, ${this.position.y.toFixed(1)}, ${this.position.z.toFixed(1)}`,
       state: this.state
     };
@@ -201,4 +588,4 @@ class TargetPlayer extends Player {
 }
 
 export default TargetPlayer;
-export { TargetPlayer };
\ No newline at end of file
+export { TargetPlayer, VISIBILITY_CONFIG, DAMAGE_CONFIG, BLINK_CONFIG };
\ No newline at end of file
@@ -235,10 +235,20 @@ class PlayerRegistry {
   /**
    * Update all players
    * @param {number} deltaTime
+   * @param {number} alpha - Physics interpolation alpha
    */
-  updateAll(deltaTime) {
+  updateAll(deltaTime, alpha = 1) {
     for (const player of this.players.values()) {
-      player.update(deltaTime);
+      player.update(deltaTime, alpha);
+    }
+  }
+  
+  /**
+   * Store every player's physics state before a fixed step
+   */
+  storePhysicsStates() {
+    for (const player of this.players.values()) {
+      player.storePhysicsState();
     }
   }
   
@@ -33,6 +33,9 @@ class GameCamera {
     
     // Target offset (eye height)
     this.targetOffset = new THREE.Vector3(0, 1.6, 0);
+    this.standingEyeHeight = 1.6;
+    this.eyeHeight = 1.6;         // Where targetOffset.y is easing to (lower when crouched)
+    this.eyeHeightSpeed = 10;
     
     // Free camera settings
     this.freePosition = new THREE.Vector3(0, 10, 20);
@@ -63,6 +66,14 @@ class GameCamera {
     this.target = target;
   }
   
+  /**
+   * Scale the eye height, e.g. while crouching (eases there over a few frames)
+   * @param {number} scale - Fraction of standing eye height
+   */
+  setEyeScale(scale) {
+    this.eyeHeight = this.standingEyeHeight * scale;
+  }
+  
   /**
    * Set camera mode
    * @param {string} mode
@@ -150,6 +161,9 @@ class GameCamera {
     // Normal modes require a target
     if (!this.target) return;
     
+    // Ease toward the current eye height (crouching)
+    this.targetOffset.y += (this.eyeHeight - this.targetOffset.y) * Math.min(1, this.eyeHeightSpeed * deltaTime);
+    
     // Get target position
     const targetPos = new THREE.Vector3();
     this.target.getWorldPosition(targetPos);
@@ -83,9 +83,17 @@ class Chronograph {
   
   /**
    * Get interpolation alpha for smooth rendering between physics steps
+   * @returns {number} 0-1
    */
   getInterpolationAlpha() {
-    return this.accumulator / this.fixedTimeStep;
+    return Math.min(1, Math.max(0, this.accumulator / this.fixedTimeStep));
+  }
+  
+  /**
+   * Drop accumulated physics time (while physics isn't stepping, e.g. in menus)
+   */
+  resetAccumulator() {
+    this.accumulator = 0;
   }
   
   /**
@@ -124,10 +132,11 @@ class Chronograph {
   
   /**
    * Get formatted time string (MM:SS)
+   * @param {number} time - Seconds to format (defaults to elapsed time)
    */
-  getFormattedTime() {
-    const minutes = Math.floor(this.elapsedTime / 60);
-    const seconds = Math.floor(this.elapsedTime % 60);
+  getFormattedTime(time = this.elapsedTime) {
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
     return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   }
   
@@ -16,6 +16,7 @@ const KEY_BINDINGS = {
   
   // Actions
   interact: ['e'],
+  blink: ['q'],          // blink on purpose (refills the blink meter)
   attack: ['mouse0'],    // left click
   
   // Camera
@@ -261,6 +262,11 @@ class Controls {
   checkActions(key, pressed) {
     if (!pressed) return; // Only trigger on key down
     
+    // Gameplay actions
+    if (this.isKeyInBinding(key, 'blink')) {
+      if (this.onAction) this.onAction('blink');
+    }
+    
     // Developer controls
     if (this.devMode) {
       if (this.isKeyInBinding(key, 'toggleDebug')) {
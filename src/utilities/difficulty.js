@@ -0,0 +1,97 @@
+/**
+ * Difficulty - Named presets for Gargoyle
+ * 
+ * Each preset sets every difficulty knob in one place:
+ * - How many gargoyles hunt the player
+ * - How quickly they freeze / unfreeze when watched
+ * - How close they must get to catch the player
+ * - AI senses and pursuit tuning (merged into each agent's AI config)
+ */
+
+// ============================================
+// PRESET IDS
+// ============================================
+export const Difficulty = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  NIGHTMARE: 'nightmare',
+};
+
+// ============================================
+// PRESETS
+// ============================================
+export const DIFFICULTY_PRESETS = {
+  [Difficulty.EASY]: {
+    label: 'Easy',
+    numGargoyles: 2,
+    freezeDelay: 0.15,       // Seconds before freezing when spotted
+    unfreezeDelay: 0.5,      // Seconds before unfreezing when not spotted
+    attackRange: 1.5,
+    ai: {
+      sightRange: 50,
+      hearingRange: 14,
+      chaseSpeed: 5,
+      aggression: 0.1,
+    },
+  },
+  [Difficulty.NORMAL]: {
+    label: 'Normal',
+    numGargoyles: 3,
+    freezeDelay: 0.05,
+    unfreezeDelay: 0.2,
+    attackRange: 2,
+    ai: {
+      sightRange: 80,
+      hearingRange: 20,
+      chaseSpeed: 7,
+      aggression: 0.3,
+    },
+  },
+  [Difficulty.HARD]: {
+    label: 'Hard',
+    numGargoyles: 4,
+    freezeDelay: 0.03,
+    unfreezeDelay: 0.12,
+    attackRange: 2.2,
+    ai: {
+      sightRange: 100,
+      hearingRange: 26,
+      chaseSpeed: 8,
+      aggression: 0.5,
+    },
+  },
+  [Difficulty.NIGHTMARE]: {
+    label: 'Nightmare',
+    numGargoyles: 6,
+    freezeDelay: 0.02,
+    unfreezeDelay: 0.08,
+    attackRange: 2.5,
+    ai: {
+      sightRange: 120,
+      hearingRange: 32,
+      chaseSpeed: 9,
+      aggression: 0.8,
+    },
+  },
+};
+
+export const DEFAULT_DIFFICULTY = Difficulty.NORMAL;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Get a preset by id (falls back to the default for unknown ids)
+ * @param {string} id - Difficulty id
+ * @returns {object} Preset
+ */
+export function getDifficultyPreset(id) {
+  return DIFFICULTY_PRESETS[id] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+}
+
+// ============================================
+// DEFAULT EXPORT - All presets
+// ============================================
+export default DIFFICULTY_PRESETS;
@@ -163,6 +163,9 @@ class HUD {
     this.createWarningIndicator();
     this.createCrosshair();
     this.createDamageOverlay();
+    this.createBlinkOverlay();
+    this.createBlinkMeter();
+    this.createHealthBar();
     this.createDebugPanel();
     this.createCameraModeIndicator();
     
@@ -297,6 +300,8 @@ class HUD {
       { key: 'W A S D', action: 'Move' },
       { key: 'Mouse', action: 'Look' },
       { key: 'Space', action: 'Jump / Up' },
+      { key: 'C', action: 'Crouch' },
+      { key: 'Q', action: 'Blink' },
       { key: 'Shift', action: 'Down (FreeCam)' },
       { key: 'Scroll', action: 'Zoom' },
       { key: 'Ctrl', action: 'Free Cam' },
@@ -454,6 +459,81 @@ class HUD {
     this.container.appendChild(overlay);
   }
   
+  /**
+   * Create blink overlay - Full screen blackout while the eyes are shut
+   */
+  createBlinkOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'hud-blink';
+    overlay.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: #000000;
+      opacity: 0;
+      pointer-events: none;
+      transition: opacity 0.08s ease;
+    `;
+    
+    this.elements.blinkOverlay = overlay;
+    this.container.appendChild(overlay);
+  }
+  
+  /**
+   * Create blink meter - Bottom Center
+   */
+  createBlinkMeter() {
+    const meter = document.createElement('div');
+    meter.id = 'hud-blink-meter';
+    meter.style.cssText = `
+      position: absolute;
+      bottom: 24px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      background: rgba(0, 0, 0, 0.7);
+      padding: 8px 14px;
+      border-radius: 8px;
+      border: 1px solid rgba(100, 200, 255, 0.3);
+    `;
+    
+    // Eye icon
+    const icon = document.createElement('div');
+    icon.textContent = '👁';
+    icon.style.cssText = `
+      font-size: 18px;
+    `;
+    meter.appendChild(icon);
+    
+    // Bar
+    const track = document.createElement('div');
+    track.style.cssText = `
+      width: 160px;
+      height: 8px;
+      background: rgba(255, 255, 255, 0.15);
+      border-radius: 4px;
+      overflow: hidden;
+    `;
+    
+    const fill = document.createElement('div');
+    fill.style.cssText = `
+      width: 100%;
+      height: 100%;
+      background: #64c8ff;
+      transition: width 0.1s linear;
+    `;
+    track.appendChild(fill);
+    meter.appendChild(track);
+    
+    this.elements.blinkFill = fill;
+    this.elements.blinkMeter = meter;
+    this.container.appendChild(meter);
+  }
+  
   /**
    * Create debug panel - Below controls panel
    */
@@ -575,6 +655,89 @@ class HUD {
     }
   }
   
+  /**
+   * Create health bar - Bottom Center, above the blink meter (health mode only)
+   */
+  createHealthBar() {
+    const bar = document.createElement('div');
+    bar.id = 'hud-health';
+    bar.style.cssText = `
+      position: absolute;
+      bottom: 72px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: none;
+      align-items: center;
+      gap: 10px;
+      background: rgba(0, 0, 0, 0.7);
+      padding: 8px 14px;
+      border-radius: 8px;
+      border: 1px solid rgba(255, 68, 68, 0.4);
+    `;
+    
+    // Heart icon
+    const icon = document.createElement('div');
+    icon.textContent = '❤';
+    icon.style.cssText = `
+      font-size: 18px;
+      color: #ff4444;
+    `;
+    bar.appendChild(icon);
+    
+    // Bar
+    const track = document.createElement('div');
+    track.style.cssText = `
+      width: 160px;
+      height: 8px;
+      background: rgba(255, 255, 255, 0.15);
+      border-radius: 4px;
+      overflow: hidden;
+    `;
+    
+    const fill = document.createElement('div');
+    fill.style.cssText = `
+      width: 100%;
+      height: 100%;
+      background: #ff4444;
+      transition: width 0.2s ease;
+    `;
+    track.appendChild(fill);
+    bar.appendChild(track);
+    
+    this.elements.healthFill = fill;
+    this.elements.healthBar = bar;
+    this.container.appendChild(bar);
+  }
+  
+  /**
+   * Update the health bar
+   * @param {number} health
+   * @param {number} maxHealth
+   * @param {boolean} show - Only shown in health mode
+   */
+  updateHealth(health, maxHealth, show = true) {
+    if (!this.elements.healthBar) return;
+    
+    this.elements.healthBar.style.display = show ? 'flex' : 'none';
+    this.elements.healthFill.style.width = `${Math.round((health / maxHealth) * 100)}%`;
+  }
+  
+  /**
+   * Update the blink meter and blackout
+   * @param {number} meter - 0-1, empty forces a blink
+   * @param {boolean} blinking - Eyes currently shut
+   */
+  updateBlink(meter, blinking) {
+    if (this.elements.blinkFill) {
+      this.elements.blinkFill.style.width = `${Math.round(meter * 100)}%`;
+      this.elements.blinkFill.style.background = meter < 0.25 ? '#ff4444' : '#64c8ff';
+    }
+    
+    if (this.elements.blinkOverlay) {
+      this.elements.blinkOverlay.style.opacity = blinking ? '1' : '0';
+    }
+  }
+  
   /**
    * Flash damage overlay
    */
@@ -3,6 +3,9 @@
  * Handles main menu, pause menu, and game over screens
  */
 
+import DIFFICULTY_PRESETS, { DEFAULT_DIFFICULTY } from './difficulty.js';
+import { ObservationMode } from './observation.js';
+
 // Menu states
 export const MenuState = {
   HIDDEN: 'hidden',
@@ -15,6 +18,9 @@ export const MenuState = {
 
 // Default settings
 const DEFAULT_SETTINGS = {
+  difficulty: DEFAULT_DIFFICULTY,
+  observationMode: ObservationMode.CAMERA,
+  healthMode: false,
   mouseSensitivity: 0.002,
   musicVolume: 0.5,
   sfxVolume: 0.7,
@@ -28,7 +34,10 @@ class Menu {
     this.previousState = MenuState.HIDDEN;
     this.container = null;
     this.elements = {};
+    
+    // Saved settings are needed before init (difficulty decides the gargoyle count)
     this.settings = { ...DEFAULT_SETTINGS };
+    this.loadSettings();
     
     // Callbacks
     this.onPlay = null;
@@ -38,6 +47,9 @@ class Menu {
     
     // Dev mode - skip menu
     this.devMode = false;
+    
+    // Current map seed (shown in pause menu)
+    this.seed = null;
   }
   
   /**
@@ -47,9 +59,6 @@ class Menu {
   init(options = {}) {
     this.devMode = options.devMode || false;
     
-    // Load saved settings
-    this.loadSettings();
-    
     // Create menu container
     this.createContainer();
     
@@ -172,6 +181,9 @@ class Menu {
     `;
     menu.appendChild(subtitle);
     
+    // Difficulty
+    menu.appendChild(this.createDifficultySelector());
+    
     // Buttons
     menu.appendChild(this.createButton('PLAY', () => this.startGame(), true));
     menu.appendChild(this.createButton('SETTINGS', () => this.show(MenuState.SETTINGS)));
@@ -197,6 +209,8 @@ class Menu {
         <b style="color: #fff;">WASD</b> - Move<br>
         <b style="color: #fff;">Mouse</b> - Look around<br>
         <b style="color: #fff;">Space</b> - Jump<br>
+        <b style="color: #fff;">C</b> - Crouch<br>
+        <b style="color: #fff;">Q</b> - Blink<br>
         <b style="color: #fff;">Scroll</b> - Zoom<br>
         <b style="color: #fff;">ESC</b> - Pause<br>
         <b style="color: #fff;">R</b> - Restart
@@ -209,6 +223,80 @@ class Menu {
     this.elements.mainMenu = menu;
   }
   
+  /**
+   * Create difficulty preset selector (applied at the start of each round)
+   */
+  createDifficultySelector() {
+    const container = document.createElement('div');
+    container.id = 'difficulty-selector';
+    container.style.cssText = `
+      margin-bottom: 20px;
+    `;
+    
+    const label = document.createElement('p');
+    label.textContent = 'DIFFICULTY';
+    label.style.cssText = `
+      font-size: 14px;
+      color: #888888;
+      letter-spacing: 3px;
+      margin-bottom: 10px;
+    `;
+    container.appendChild(label);
+    
+    this.elements.difficultyButtons = {};
+    
+    for (const [id, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+      const button = document.createElement('button');
+      button.textContent = preset.label;
+      button.style.cssText = `
+        padding: 8px 14px;
+        margin: 0 4px;
+        font-size: 14px;
+        font-weight: bold;
+        background: transparent;
+        border: 2px solid #666666;
+        border-radius: 5px;
+        cursor: pointer;
+        pointer-events: auto;
+      `;
+      
+      button.addEventListener('click', () => this.setDifficulty(id));
+      
+      container.appendChild(button);
+      this.elements.difficultyButtons[id] = button;
+    }
+    
+    this.updateDifficultyButtons();
+    
+    return container;
+  }
+  
+  /**
+   * Select a difficulty preset and persist it
+   * @param {string} id - Difficulty id
+   */
+  setDifficulty(id) {
+    this.settings.difficulty = id;
+    this.saveSettings();
+    this.updateDifficultyButtons();
+    
+    if (this.onSettingsChange) {
+      this.onSettingsChange('difficulty', id);
+    }
+  }
+  
+  /**
+   * Highlight the selected difficulty
+   */
+  updateDifficultyButtons() {
+    for (const [id, button] of Object.entries(this.elements.difficultyButtons)) {
+      const selected = id === this.settings.difficulty;
+      button.style.color = selected ? '#1a1a1a' : '#ffffff';
+      button.style.background = selected ? '#ffdd44' : 'transparent';
+      button.style.borderColor = selected ? '#ffdd44' : '#666666';
+    }
+  }
+  
   /**
    * Create pause menu
    */
@@ -234,6 +322,22 @@ class Menu {
     menu.appendChild(this.createButton('RESTART', () => this.restart()));
     menu.appendChild(this.createButton('MAIN MENU', () => this.show(MenuState.MAIN)));
     
+    // Map seed (click to copy a shareable link)
+    const seed = document.createElement('p');
+    seed.id = 'pause-seed';
+    seed.title = 'Click to copy a link to this map';
+    seed.style.cssText = `
+      margin-top: 30px;
+      font-size: 14px;
+      font-family: 'Consolas', 'Monaco', monospace;
+      color: #888888;
+      cursor: pointer;
+      pointer-events: auto;
+    `;
+    seed.addEventListener('click', () => this.copySeedLink());
+    menu.appendChild(seed);
+    this.elements.seed = seed;
+    
     this.container.appendChild(menu);
     this.elements.pauseMenu = menu;
   }
@@ -296,6 +400,25 @@ class Menu {
       this.settings.sfxVolume
     ));
     
+    // What counts as looking at a gargoyle
+    settingsContainer.appendChild(this.createSelect(
+      'Observation',
+      'observationMode',
+      [
+        { value: ObservationMode.CAMERA, label: 'Camera view' },
+        { value: ObservationMode.EYES, label: 'Character eyes' },
+        { value: ObservationMode.HYBRID, label: 'Camera + eyes (competitive)' }
+      ],
+      this.settings.observationMode
+    ));
+    
+    // Health mode - gargoyle hits hurt instead of catching outright
+    settingsContainer.appendChild(this.createToggle(
+      'Health & Knockback',
+      'healthMode',
+      this.settings.healthMode
+    ));
+    
     // Show FPS toggle
     settingsContainer.appendChild(this.createToggle(
       'Show FPS',
@@ -361,6 +484,61 @@ class Menu {
     return container;
   }
   
+  /**
+   * Create a dropdown setting
+   * @param {string} label
+   * @param {string} key - Settings key
+   * @param {Array<{value: string, label: string}>} options
+   * @param {string} value - Selected value
+   */
+  createSelect(label, key, options, value) {
+    const container = document.createElement('div');
+    container.style.cssText = `
+      margin-bottom: 20px;
+    `;
+    
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+    labelEl.style.cssText = `
+      display: block;
+      color: #aaa;
+      margin-bottom: 5px;
+    `;
+    container.appendChild(labelEl);
+    
+    const select = document.createElement('select');
+    select.style.cssText = `
+      width: 100%;
+      padding: 6px;
+      font-size: 14px;
+      color: #ffffff;
+      background: #1a1a1a;
+      border: 2px solid #666666;
+      border-radius: 5px;
+      cursor: pointer;
+    `;
+    
+    for (const option of options) {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.value;
+      optionEl.textContent = option.label;
+      optionEl.selected = option.value === value;
+      select.appendChild(optionEl);
+    }
+    
+    select.addEventListener('change', () => {
+      this.settings[key] = select.value;
+      this.saveSettings();
+      if (this.onSettingsChange) {
+        this.onSettingsChange(key, this.settings[key]);
+      }
+    });
+    
+    container.appendChild(select);
+    
+    return container;
+  }
+  
   /**
    * Create a toggle setting
    */
@@ -482,11 +660,22 @@ class Menu {
     message.style.cssText = `
       font-size: 24px;
       color: #888888;
-      margin-bottom: 40px;
+      margin-bottom: 20px;
     `;
     screen.appendChild(message);
     this.elements.winMessage = message;
     
+    const stats = document.createElement('div');
+    stats.id = 'win-stats';
+    stats.style.cssText = `
+      font-size: 16px;
+      color: #aaaaaa;
+      line-height: 1.8;
+      margin-bottom: 40px;
+    `;
+    screen.appendChild(stats);
+    this.elements.winStats = stats;
+    
     screen.appendChild(this.createButton('PLAY AGAIN', () => this.restart(), true));
     screen.appendChild(this.createButton('MAIN MENU', () => this.show(MenuState.MAIN)));
     
@@ -609,6 +798,33 @@ class Menu {
     if (this.onRestart) this.onRestart();
   }
   
+  /**
+   * Set the map seed shown in the pause menu
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    if (this.elements.seed) {
+      this.elements.seed.textContent = `Seed: ${seed}`;
+    }
+  }
+  
+  /**
+   * Copy a link that reproduces the current map
+   */
+  copySeedLink() {
+    if (this.seed === null) return;
+    
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', this.seed);
+    
+    navigator.clipboard?.writeText(url.toString())
+      .then(() => {
+        this.elements.seed.textContent = `Seed: ${this.seed} (link copied)`;
+      })
+      .catch((e) => console.warn('Could not copy seed link:', e));
+  }
+  
   /**
    * Show game over screen
    */
@@ -624,6 +840,12 @@ class Menu {
     if (stats.time) {
       this.elements.winMessage.textContent = `Completed in ${stats.time}!`;
     }
+    
+    const lines = [];
+    if (stats.trophies) lines.push(`Trophies: ${stats.trophies}`);
+    if (stats.gargoyles !== undefined) lines.push(`Gargoyles evaded: ${stats.gargoyles}`);
+    this.elements.winStats.innerHTML = lines.join('<br>');
+    
     this.show(MenuState.WIN);
   }
   
@@ -0,0 +1,15 @@
+/**
+ * Observation - How the target player decides what it is looking at
+ * 
+ * Kept apart from the player classes so UI modules can list the modes
+ * without loading the player stack.
+ */
+
+// ============================================
+// OBSERVATION MODES
+// ============================================
+export const ObservationMode = {
+  CAMERA: 'camera',   // Inside the camera frustum (an orbit camera sees past the character)
+  EYES: 'eyes',       // Inside the character's own view cone (body facing and fov.angle)
+  HYBRID: 'hybrid'    // Both - on screen and in front of the character
+};
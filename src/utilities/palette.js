@@ -89,6 +89,12 @@ export const PLAYERS = {
   gargoyle: {
     normal:   DARK.dark,     // Gargoyle default
     frozen:   DARK.dark,     // When frozen (stone-like)
+    
+    // Archetype tints - subtle casts on the dark base, all turn the same stone when frozen
+    sentinel: 0x2A2C36,      // Cold blue-black
+    sprinter: 0x362A22,      // Rust
+    climber:  0x28322A,      // Moss
+    stalker:  0x322632,      // Plum
   },
 };
 
@@ -125,12 +131,13 @@ export const DEBUG = {
 
 /**
  * Generate a random ash grey color
+ * @param {function} random - Random source returning [0, 1) (defaults to Math.random)
  * @returns {number} Hex color between ASH.dark and ASH.lightest
  */
-export function randomAshGrey() {
+export function randomAshGrey(random = Math.random) {
   const min = 0xA0;
   const max = 0xD8;
-  const base = Math.floor(Math.random() * (max - min) + min);
+  const base = Math.floor(random() * (max - min) + min);
   
   // Ash grey is slightly warm: R >= G >= B
   const r = base;
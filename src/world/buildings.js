@@ -1030,6 +1030,10 @@ class Buildings {
   
   /**
    * Generate buildings on islands
+   * @param {number[][]} grid - The island grid from islands.js
+   * @param {Array} islands - Island data from islands.js
+   * @param {Set} roadCells - Road cells to keep clear
+   * @param {object} config - Grid configuration (config.seed makes layout reproducible)
    */
   generate(grid, islands, roadCells, config = {}) {
     this.clear();
@@ -1039,7 +1043,7 @@ class Buildings {
     this.cellSize = config.cellSize || 4;
     this.halfGrid = this.gridSize / 2;
     this.roadCells = roadCells || new Set();
-    this.randomSeed = Date.now();
+    this.randomSeed = config.seed ?? Date.now();
     
     // Initialize tier stats
     for (const tier of BUILDINGS_CONFIG.sizeTiers) {
@@ -1183,7 +1187,7 @@ class Buildings {
     }
     
     const material = new THREE.MeshStandardMaterial({
-      color: randomAshGrey(),
+      color: randomAshGrey(() => this.random()),
       roughness: BUILDINGS_CONFIG.roughness,
       metalness: BUILDINGS_CONFIG.metalness,
       side: isHollow ? THREE.DoubleSide : THREE.FrontSide,
@@ -1355,6 +1359,21 @@ class Buildings {
     return this.buildings.filter(b => !b.hollow);
   }
   
+  /**
+   * Get the doorway of every hollow building (door is on the -Z front wall)
+   * @returns {Array<{x: number, z: number, width: number, building: object}>} World positions
+   */
+  getDoorways() {
+    const doorConfig = BUILDINGS_CONFIG.hollow.door;
+    
+    return this.getHollowBuildings().map(building => ({
+      x: building.mesh.position.x + doorConfig.offsetFromCenter,
+      z: building.mesh.position.z - (building.depthTiles * this.cellSize) / 2,
+      width: doorConfig.width,
+      building,
+    }));
+  }
+  
   // ============================================
   // Cleanup
   // ============================================
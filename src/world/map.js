@@ -4,6 +4,9 @@
  * Uses creeks.js to generate paths between islands
  * Uses paths.js to generate roads on islands
  * Uses buildings.js to place buildings on available tiles
+ * Uses trophies.js to scatter collectibles on open tiles
+ * Uses statues.js to place decoy gargoyle statues on plazas and roofs
+ * Uses navgrid.js to build the AI walkable graph from the finished layout
  */
 
 import * as THREE from 'three';
@@ -12,6 +15,9 @@ import islands, { ISLANDS_CONFIG } from './islands.js';
 import creeks from './creeks.js';
 import paths from './paths.js';
 import buildings from './buildings.js';
+import trophies from './trophies.js';
+import navGrid from './navgrid.js';
+import statues, { STATUE_CONFIG } from './statues.js';
 
 // Configuration
 const MAP_CONFIG = {
@@ -21,6 +27,9 @@ const MAP_CONFIG = {
   gridDivisions: 50,
   gridColorCenter: 0x707068,
   gridColorLines: 0x606058,
+  
+  // Seeds wrap at the generators' LCG modulus
+  seedModulus: 233280,
 };
 
 class GameMap {
@@ -28,19 +37,27 @@ class GameMap {
     this.scene = null;
     this.debugGrid = null;
     this.isDebugVisible = false;
+    
+    // Master seed - every generator derives its own sub-seed from this
+    this.seed = null;
   }
   
   /**
    * Initialize the map
    * @param {THREE.Scene} scene
-   * @param {number} seed - Optional seed for island generation
+   * @param {number} seed - Optional master seed (random if omitted, reduced modulo seedModulus)
    */
   init(scene, seed = null) {
     this.scene = scene;
+    this.seed = seed !== null
+      ? Math.abs(Math.floor(seed)) % MAP_CONFIG.seedModulus
+      : Math.floor(Math.random() * MAP_CONFIG.seedModulus);
+    
+    console.log(`Map seed: ${this.seed}`);
     
     // Initialize and generate islands
     islands.init(scene);
-    islands.generate(seed);
+    islands.generate(this.deriveSeed('islands'));
     
     // Initialize and generate connecting paths (bridges between islands)
     creeks.init(scene);
@@ -56,6 +73,7 @@ class GameMap {
       cellSize: islands.cellSize,
       connectionCells: creeks.connectionCells,  // Pass creek connection points (gasoline green)
       creekPathCells: creeks.pathCells,         // Pass creek path cells (navy) to add roads on bridges
+      seed: this.deriveSeed('paths'),
     });
     
     // Initialize and generate buildings on available tiles
@@ -63,14 +81,52 @@ class GameMap {
     buildings.generate(islands.grid, islands.islands, paths.roadCells, {
       gridSize: ISLANDS_CONFIG.gridDivisions,
       cellSize: islands.cellSize,
+      seed: this.deriveSeed('buildings'),
+    });
+    
+    // AI navigation graph (land + bridges, minus buildings)
+    navGrid.build(islands.grid, creeks.pathCells, buildings.occupiedCells, {
+      gridSize: ISLANDS_CONFIG.gridDivisions,
+      cellSize: islands.cellSize,
     });
     
+    // Decoy statues on plazas, rooftops and ledges
+    statues.init(scene);
+    statues.generate(this.getStatueSpots(), this.deriveSeed('statues'));
+    
+    // Trophies are spawned per round (see spawnTrophies)
+    trophies.init(scene);
+    
     this.createDebugGrid();
     
     // Hide debug by default
     meshRegistry.setCategoryVisibility(MeshCategory.DEBUG, this.isDebugVisible);
     
-    console.log('Map initialized with islands, creeks, roads, and buildings');
+    console.log('Map initialized with islands, creeks, roads, buildings, and statues');
+  }
+  
+  /**
+   * Derive a deterministic sub-seed from the master seed
+   * @param {string} name - Consumer name (e.g. 'islands', 'trophies', 'ai')
+   * @returns {number}
+   */
+  deriveSeed(name) {
+    // FNV-1a over "seed:name"
+    const key = `${this.seed}:${name}`;
+    let hash = 2166136261;
+    for (let i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return (hash >>> 0) % MAP_CONFIG.seedModulus;
+  }
+  
+  /**
+   * Get the master seed
+   * @returns {number}
+   */
+  getSeed() {
+    return this.seed;
   }
   
   /**
@@ -144,6 +200,117 @@ class GameMap {
     return islands.getSpawnPoint(islandIndex);
   }
   
+  /**
+   * Pick free statue spots for gargoyles to start a round disguised in
+   * @param {number} count - Number of gargoyles
+   * @param {number} round - Round number (each round gets its own picks)
+   * @returns {Array<object|null>} Spot { x, y, z, rotation } per gargoyle spawn index, null = normal spawn
+   */
+  getDisguiseSpots(count, round = 0) {
+    return statues.getDisguiseSpots(count, this.deriveSeed(`disguises:${round}`));
+  }
+  
+  /**
+   * Candidate statue spots (feet position and facing)
+   * - plaza: open ground cells off the roads, nudged off the cell center toward the
+   *   nearest building (spawns and trophies sit on cell centers)
+   * - rooftop: middle of each roof
+   * - ledge: middle of each roof edge, looking outward
+   * @returns {{plaza: object[], rooftop: object[], ledge: object[]}}
+   */
+  getStatueSpots() {
+    const spots = { plaza: [], rooftop: [], ledge: [] };
+    const cellSize = islands.cellSize;
+    const halfGrid = islands.halfGrid;
+    
+    for (const cell of this.getOpenCells()) {
+      const gridX = Math.floor(cell.x / cellSize + halfGrid);
+      const gridZ = Math.floor(cell.z / cellSize + halfGrid);
+      const key = `${gridX},${gridZ}`;
+      if (paths.roadCells.has(key) || creeks.pathCells.has(key)) continue;
+      
+      spots.plaza.push({ x: cell.x, y: 0, z: cell.z, rotation: 0 });
+    }
+    
+    const box = new THREE.Box3();
+    const inset = STATUE_CONFIG.ledgeInset;
+    
+    for (const building of buildings.getObstacles()) {
+      box.setFromObject(building);
+      const centerX = (box.min.x + box.max.x) / 2;
+      const centerZ = (box.min.z + box.max.z) / 2;
+      const top = box.max.y;
+      
+      spots.rooftop.push({ x: centerX, y: top, z: centerZ, rotation: 0 });
+      
+      // Facing = (sin r, cos r): +X, -X, +Z, -Z
+      spots.ledge.push(
+        { x: box.max.x - inset, y: top, z: centerZ, rotation: Math.PI / 2 },
+        { x: box.min.x + inset, y: top, z: centerZ, rotation: -Math.PI / 2 },
+        { x: centerX, y: top, z: box.max.z - inset, rotation: 0 },
+        { x: centerX, y: top, z: box.min.z + inset, rotation: Math.PI }
+      );
+    }
+    
+    // Step plaza statues toward the nearest building and face it, as if guarding it
+    for (const spot of spots.plaza) {
+      let nearest = null;
+      let nearestDist = Infinity;
+      
+      for (const roof of spots.rooftop) {
+        const dist = Math.hypot(roof.x - spot.x, roof.z - spot.z);
+        if (dist < nearestDist) {
+          nearestDist = dist;
+          nearest = roof;
+        }
+      }
+      
+      if (nearest) {
+        spot.rotation = Math.atan2(nearest.x - spot.x, nearest.z - spot.z);
+        spot.x += Math.sin(spot.rotation) * STATUE_CONFIG.plazaOffset;
+        spot.z += Math.cos(spot.rotation) * STATUE_CONFIG.plazaOffset;
+      }
+    }
+    
+    return spots;
+  }
+  
+  /**
+   * Load the gargoyle model for the statues (they use placeholders until then)
+   * @param {string} modelPath
+   * @returns {Promise}
+   */
+  loadStatueModel(modelPath) {
+    return statues.loadModel(modelPath);
+  }
+  
+  /**
+   * Get world positions of every open walkable cell
+   * The nav grid's walkable cells: island cells not covered by buildings, plus creek bridge cells
+   * @returns {object[]} Array of { x, z } cell centers
+   */
+  getOpenCells() {
+    const cells = [];
+    
+    for (const key of navGrid.walkableCells) {
+      const [x, z] = key.split(',').map(Number);
+      cells.push(navGrid.cellToWorld(x, z));
+    }
+    
+    return cells;
+  }
+  
+  /**
+   * Spawn a fresh set of trophies for a new round
+   * @param {object} avoidPosition - Keep trophies away from this { x, z } (target spawn)
+   * @returns {number} Number of trophies spawned
+   */
+  spawnTrophies(avoidPosition = null) {
+    trophies.clear();
+    trophies.setSeed(this.deriveSeed('trophies'));
+    return trophies.spawnTrophies(this.getOpenCells(), null, avoidPosition);
+  }
+  
   /**
    * Check if a position is on land (island or path)
    */
@@ -194,11 +361,84 @@ class GameMap {
   }
   
   /**
-   * Get obstacles for line-of-sight checks (buildings)
+   * Get obstacles for line-of-sight checks (buildings and statues)
    * @returns {THREE.Object3D[]}
    */
   getObstacles() {
-    return buildings.getObstacles();
+    return [...buildings.getObstacles(), ...statues.getObstacles()];
+  }
+  
+  /**
+   * Build AI patrol routes from the street layout
+   * One loop around each road rectangle, plus an out-and-back run over each creek bridge.
+   * Waypoints are rectangle corners and road intersections; gargoyles pause where
+   * `pause` is set (intersections and bridge ends).
+   * @returns {Array<{type: string, waypoints: Array<{x: number, z: number, pause: boolean}>}>}
+   */
+  getPatrolRoutes() {
+    const routes = [];
+    const cellSize = islands.cellSize;
+    const halfGrid = islands.halfGrid;
+    
+    const toWorld = (x, z, pause) => ({
+      x: (x - halfGrid) * cellSize + cellSize / 2,
+      z: (z - halfGrid) * cellSize + cellSize / 2,
+      pause,
+    });
+    
+    const isRoad = (x, z) => paths.roadCells.has(`${x},${z}`) || creeks.pathCells.has(`${x},${z}`);
+    
+    // Three or more road neighbors = a junction
+    const isIntersection = (x, z) =>
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].filter(([dx, dz]) => isRoad(x + dx, z + dz)).length >= 3;
+    
+    // Road loops - walk each rectangle outline clockwise
+    for (const rect of paths.rectangles) {
+      const { minX, maxX, minZ, maxZ } = rect;
+      const perimeter = [];
+      
+      for (let x = minX; x < maxX; x++) perimeter.push([x, minZ]);
+      for (let z = minZ; z < maxZ; z++) perimeter.push([maxX, z]);
+      for (let x = maxX; x > minX; x--) perimeter.push([x, maxZ]);
+      for (let z = maxZ; z > minZ; z--) perimeter.push([minX, z]);
+      
+      const waypoints = [];
+      for (const [x, z] of perimeter) {
+        const isCorner = (x === minX || x === maxX) && (z === minZ || z === maxZ);
+        const junction = isIntersection(x, z);
+        if (isCorner || junction) {
+          waypoints.push(toWorld(x, z, junction));
+        }
+      }
+      
+      routes.push({ type: 'road', waypoints });
+    }
+    
+    // Bridge runs - cross and come back, pausing at each end
+    for (const bridge of creeks.paths) {
+      const first = bridge.cells[0];
+      const last = bridge.cells[bridge.cells.length - 1];
+      routes.push({
+        type: 'bridge',
+        waypoints: [toWorld(first.x, first.z, true), toWorld(last.x, last.z, true)],
+      });
+    }
+    
+    return routes;
+  }
+  
+  /**
+   * Get the AI navigation grid
+   */
+  getNavGrid() {
+    return navGrid;
+  }
+  
+  /**
+   * Get doorway positions of hollow buildings
+   */
+  getDoorways() {
+    return buildings.getDoorways();
   }
   
   /**
@@ -229,6 +469,13 @@ class GameMap {
     return buildings;
   }
   
+  /**
+   * Get trophies reference
+   */
+  getTrophies() {
+    return trophies;
+  }
+  
   /**
    * Get debug info
    */
@@ -238,6 +485,7 @@ class GameMap {
       creeks: creeks.getDebugInfo(),
       paths: paths.getDebugInfo(),
       buildings: buildings.getDebugInfo(),
+      statues: statues.getDebugInfo(),
     };
   }
   
@@ -249,6 +497,9 @@ class GameMap {
     creeks.clear();
     paths.clear();
     buildings.clear();
+    statues.clear();
+    trophies.clear();
+    navGrid.clear();
     
     if (this.debugGrid) {
       this.scene.remove(this.debugGrid);
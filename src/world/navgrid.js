@@ -0,0 +1,386 @@
+/**
+ * NavGrid - Walkable cell graph for AI pathfinding
+ *
+ * Built from the same cell grid as the rest of the world:
+ *   - Island cells (islands.grid) and creek bridges (creeks.pathCells) are walkable
+ *   - Cells covered by buildings (buildings.occupiedCells) are blocked
+ *   - Canyon void is never walkable, so paths cross islands only over bridges
+ *
+ * Algorithm:
+ *   1. A* over walkable cells (8-way, no cutting past blocked corners)
+ *   2. Smooth the cell path by skipping waypoints with a clear straight walk
+ *   3. Return world-space waypoints at cell centers
+ */
+
+// Configuration
+const NAVGRID_CONFIG = {
+  allowDiagonal: true,       // 8-way movement between cells
+  snapRadius: 4,             // Cells to search for a walkable cell near an off-grid point
+  smoothing: true,           // Remove waypoints that can be walked past in a straight line
+  smoothSampleStep: 0.5,     // World units between line-of-walk samples
+  clearance: 0.6,            // Side offset checked along smoothed segments (agent radius)
+};
+
+// Neighbor offsets (orthogonal first)
+const NEIGHBORS = [
+  { x:  1, z:  0, cost: 1 },
+  { x: -1, z:  0, cost: 1 },
+  { x:  0, z:  1, cost: 1 },
+  { x:  0, z: -1, cost: 1 },
+  { x:  1, z:  1, cost: Math.SQRT2 },
+  { x:  1, z: -1, cost: Math.SQRT2 },
+  { x: -1, z:  1, cost: Math.SQRT2 },
+  { x: -1, z: -1, cost: Math.SQRT2 },
+];
+
+class NavGrid {
+  constructor() {
+    this.gridSize = 0;
+    this.cellSize = 0;
+    this.halfGrid = 0;
+    
+    // Set of "x,z" strings for walkable cells
+    this.walkableCells = new Set();
+    
+    // Stats
+    this.stats = {
+      walkableCells: 0,
+      lastSearchIterations: 0,
+    };
+  }
+  
+  /**
+   * Build the walkable graph from world grid data
+   * @param {number[][]} grid - Island grid (>= 0 is land)
+   * @param {Set<string>} pathCells - Creek bridge cells
+   * @param {Set<string>} occupiedCells - Building cells
+   * @param {object} config - { gridSize, cellSize }
+   */
+  build(grid, pathCells, occupiedCells, config) {
+    this.clear();
+    
+    this.gridSize = config.gridSize;
+    this.cellSize = config.cellSize;
+    this.halfGrid = this.gridSize / 2;
+    
+    for (let x = 0; x < this.gridSize; x++) {
+      for (let z = 0; z < this.gridSize; z++) {
+        const key = `${x},${z}`;
+        const isLand = grid[x][z] >= 0 || pathCells.has(key);
+        
+        if (isLand && !occupiedCells.has(key)) {
+          this.walkableCells.add(key);
+        }
+      }
+    }
+    
+    this.stats.walkableCells = this.walkableCells.size;
+    console.log(`NavGrid: ${this.stats.walkableCells} walkable cells`);
+  }
+  
+  // ============================================
+  // Cell Helpers
+  // ============================================
+  
+  /**
+   * Convert world position to cell coordinates
+   * @param {number} x
+   * @param {number} z
+   * @returns {{x: number, z: number}}
+   */
+  worldToCell(x, z) {
+    return {
+      x: Math.floor(x / this.cellSize + this.halfGrid),
+      z: Math.floor(z / this.cellSize + this.halfGrid),
+    };
+  }
+  
+  /**
+   * Convert cell coordinates to world position (cell center)
+   * @param {number} cellX
+   * @param {number} cellZ
+   * @returns {{x: number, z: number}}
+   */
+  cellToWorld(cellX, cellZ) {
+    return {
+      x: (cellX - this.halfGrid) * this.cellSize + this.cellSize / 2,
+      z: (cellZ - this.halfGrid) * this.cellSize + this.cellSize / 2,
+    };
+  }
+  
+  /**
+   * Check if a cell can be walked on
+   */
+  isWalkable(cellX, cellZ) {
+    return this.walkableCells.has(`${cellX},${cellZ}`);
+  }
+  
+  /**
+   * Check if a world position is on a walkable cell
+   */
+  isWalkableAt(x, z) {
+    const cell = this.worldToCell(x, z);
+    return this.isWalkable(cell.x, cell.z);
+  }
+  
+  /**
+   * Find the closest walkable cell to a cell (rings outward)
+   * @returns {{x: number, z: number}|null}
+   */
+  findNearestWalkable(cellX, cellZ, maxRadius = NAVGRID_CONFIG.snapRadius) {
+    if (this.isWalkable(cellX, cellZ)) return { x: cellX, z: cellZ };
+    
+    for (let r = 1; r <= maxRadius; r++) {
+      let best = null;
+      let bestDist = Infinity;
+      
+      for (let dx = -r; dx <= r; dx++) {
+        for (let dz = -r; dz <= r; dz++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== r) continue;
+          if (!this.isWalkable(cellX + dx, cellZ + dz)) continue;
+          
+          const dist = dx * dx + dz * dz;
+          if (dist < bestDist) {
+            bestDist = dist;
+            best = { x: cellX + dx, z: cellZ + dz };
+          }
+        }
+      }
+      
+      if (best) return best;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get walkable neighbors of a cell (diagonals only if both sides are open)
+   */
+  getNeighbors(cell) {
+    const neighbors = [];
+    
+    for (const n of NEIGHBORS) {
+      const diagonal = n.x !== 0 && n.z !== 0;
+      if (diagonal && !NAVGRID_CONFIG.allowDiagonal) continue;
+      
+      const nx = cell.x + n.x;
+      const nz = cell.z + n.z;
+      if (!this.isWalkable(nx, nz)) continue;
+      
+      // Don't cut corners past buildings or canyon edges
+      if (diagonal && (!this.isWalkable(cell.x + n.x, cell.z) || !this.isWalkable(cell.x, cell.z + n.z))) {
+        continue;
+      }
+      
+      neighbors.push({ x: nx, z: nz, cost: n.cost });
+    }
+    
+    return neighbors;
+  }
+  
+  // ============================================
+  // Pathfinding
+  // ============================================
+  
+  /**
+   * Find a walkable path between two world positions
+   * @param {{x: number, z: number}} from - World start
+   * @param {{x: number, z: number}} to - World destination
+   * @param {function} extraCost - Optional (worldX, worldZ) => added cost for entering a cell
+   * @returns {Array<{x: number, z: number}>|null} World waypoints (excluding start), or null if unreachable
+   */
+  findPath(from, to, extraCost = null) {
+    const fromCell = this.worldToCell(from.x, from.z);
+    const toCell = this.worldToCell(to.x, to.z);
+    
+    const startCell = this.findNearestWalkable(fromCell.x, fromCell.z);
+    const endCell = this.findNearestWalkable(toCell.x, toCell.z);
+    if (!startCell || !endCell) return null;
+    
+    const cells = this.findPathAStar(startCell, endCell, extraCost);
+    if (!cells) return null;
+    
+    const waypoints = cells.map(cell => this.cellToWorld(cell.x, cell.z));
+    
+    // Finish at the exact destination if it's walkable
+    if (this.isWalkableAt(to.x, to.z)) {
+      waypoints[waypoints.length - 1] = { x: to.x, z: to.z };
+    }
+    
+    return NAVGRID_CONFIG.smoothing ? this.smoothPath(from, waypoints, extraCost) : waypoints;
+  }
+  
+  /**
+   * A* over walkable cells
+   * @param {function} extraCost - Optional (worldX, worldZ) => added cost for entering a cell
+   * @returns {Array|null} Array of cells from start to end
+   */
+  findPathAStar(startCell, endCell, extraCost = null) {
+    const openSet = new Map();
+    const closedSet = new Set();
+    const cameFrom = new Map();
+    const gScore = new Map();
+    const fScore = new Map();
+    
+    const key = (cell) => `${cell.x},${cell.z}`;
+    
+    // Octile distance (matches 8-way movement costs)
+    const heuristic = (a, b) => {
+      const dx = Math.abs(a.x - b.x);
+      const dz = Math.abs(a.z - b.z);
+      return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    };
+    
+    const startKey = key(startCell);
+    gScore.set(startKey, 0);
+    fScore.set(startKey, heuristic(startCell, endCell));
+    openSet.set(startKey, startCell);
+    
+    const endKey = key(endCell);
+    const maxIterations = this.gridSize * this.gridSize;
+    let iterations = 0;
+    
+    while (openSet.size > 0 && iterations < maxIterations) {
+      iterations++;
+      
+      // Find lowest fScore in openSet
+      let current = null;
+      let currentKey = null;
+      let lowestF = Infinity;
+      
+      for (const [k, cell] of openSet) {
+        const f = fScore.get(k) ?? Infinity;
+        if (f < lowestF) {
+          lowestF = f;
+          current = cell;
+          currentKey = k;
+        }
+      }
+      
+      if (!current) break;
+      
+      // Reached the end - reconstruct path
+      if (currentKey === endKey) {
+        this.stats.lastSearchIterations = iterations;
+        
+        const path = [current];
+        let curr = current;
+        while (cameFrom.has(key(curr))) {
+          curr = cameFrom.get(key(curr));
+          path.push(curr);
+        }
+        return path.reverse();
+      }
+      
+      openSet.delete(currentKey);
+      closedSet.add(currentKey);
+      
+      for (const neighbor of this.getNeighbors(current)) {
+        const neighborKey = key(neighbor);
+        
+        if (closedSet.has(neighborKey)) continue;
+        
+        let stepCost = neighbor.cost;
+        if (extraCost) {
+          const center = this.cellToWorld(neighbor.x, neighbor.z);
+          stepCost += extraCost(center.x, center.z);
+        }
+        
+        const tentativeG = (gScore.get(currentKey) ?? Infinity) + stepCost;
+        
+        if (!openSet.has(neighborKey)) {
+          openSet.set(neighborKey, { x: neighbor.x, z: neighbor.z });
+        } else if (tentativeG >= (gScore.get(neighborKey) ?? Infinity)) {
+          continue;
+        }
+        
+        cameFrom.set(neighborKey, current);
+        gScore.set(neighborKey, tentativeG);
+        fScore.set(neighborKey, tentativeG + heuristic(neighbor, endCell));
+      }
+    }
+    
+    this.stats.lastSearchIterations = iterations;
+    return null;
+  }
+  
+  /**
+   * Skip waypoints that can be reached in a straight, clear walk
+   * @param {{x: number, z: number}} from - World start
+   * @param {Array<{x: number, z: number}>} waypoints
+   * @param {function} extraCost - Optional cost function; shortcuts may not cross costly cells
+   * @returns {Array<{x: number, z: number}>}
+   */
+  smoothPath(from, waypoints, extraCost = null) {
+    const smoothed = [];
+    let anchor = from;
+    let i = 0;
+    
+    while (i < waypoints.length) {
+      // Furthest waypoint reachable in a straight line from the anchor
+      let furthest = i;
+      for (let j = waypoints.length - 1; j > i; j--) {
+        if (this.hasClearWalk(anchor, waypoints[j], extraCost)) {
+          furthest = j;
+          break;
+        }
+      }
+      
+      smoothed.push(waypoints[furthest]);
+      anchor = waypoints[furthest];
+      i = furthest + 1;
+    }
+    
+    return smoothed;
+  }
+  
+  /**
+   * Check that a straight walk between two points stays on walkable cells
+   * (samples the center line and both sides at clearance distance)
+   * @param {function} extraCost - Optional cost function; any cost on the line blocks it
+   */
+  hasClearWalk(a, b, extraCost = null) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const length = Math.sqrt(dx * dx + dz * dz);
+    if (length < 0.001) return true;
+    
+    // Perpendicular offset for clearance
+    const px = (-dz / length) * NAVGRID_CONFIG.clearance;
+    const pz = (dx / length) * NAVGRID_CONFIG.clearance;
+    
+    const steps = Math.ceil(length / NAVGRID_CONFIG.smoothSampleStep);
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      const x = a.x + dx * t;
+      const z = a.z + dz * t;
+      
+      if (!this.isWalkableAt(x, z) ||
+          !this.isWalkableAt(x + px, z + pz) ||
+          !this.isWalkableAt(x - px, z - pz)) {
+        return false;
+      }
+      
+      if (extraCost && extraCost(x, z) > 0) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  // ============================================
+  // Cleanup
+  // ============================================
+  
+  clear() {
+    this.walkableCells.clear();
+    this.stats.walkableCells = 0;
+    this.stats.lastSearchIterations = 0;
+  }
+}
+
+// Export singleton
+const navGrid = new NavGrid();
+export default navGrid;
+export { NavGrid, NAVGRID_CONFIG };
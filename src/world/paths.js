@@ -91,6 +91,9 @@ class Paths {
   
   /**
    * Generate road networks on islands
+   * @param {number[][]} grid - The island grid from islands.js
+   * @param {Array} islands - Island data from islands.js
+   * @param {object} config - Grid configuration (config.seed makes layout reproducible)
    */
   generate(grid, islands, config = {}) {
     this.clear();
@@ -102,7 +105,7 @@ class Paths {
     this.halfGrid = this.gridSize / 2;
     this.connectionCells = config.connectionCells || null;
     this.creekPathCells = config.creekPathCells || null;
-    this.randomSeed = Date.now();
+    this.randomSeed = config.seed ?? Date.now();
     
     console.log(`Paths: Generating rectangle roads on ${islands.length} islands...`);
     
@@ -0,0 +1,324 @@
+/**
+ * Statues - Inert gargoyle statues scattered around the city
+ * Same model and frozen stone material as a real gargoyle, so a still silhouette
+ * could be either. Placed on plazas, rooftops and roof ledges; spare spots are kept
+ * free for real gargoyles to start a round disguised among them.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+import meshRegistry, { MeshCategory } from '../registries/meshregistry.js';
+import physicsMeshers from '../physics/physicsmeshers.js';
+import { PLAYERS } from '../utilities/palette.js';
+
+// Statue configuration
+const STATUE_CONFIG = {
+  // Placement - statues per kind of spot
+  counts: {
+    plaza: 6,               // Open ground off the roads
+    rooftop: 4,             // Middle of a roof
+    ledge: 8,               // Roof edge, looking out over the street
+  },
+  disguiseSpots: 2,         // Extra spots per kind kept free for disguised gargoyles
+  disguiseChance: 0.5,      // Chance each gargoyle starts a round posing as a statue
+  minDistanceBetween: 8,    // Spacing between statues (and free spots)
+  plazaOffset: 1.2,         // Plaza statues stand this far off the cell center (clear of spawns)
+  ledgeInset: 0.7,          // Distance in from the roof edge (clear of the drop)
+  
+  // Body - matches the gargoyle players (see main.js)
+  height: 2.0,
+  radius: 0.5,
+  modelRotationOffset: Math.PI, // Same as Player - the model faces -Z
+  
+  // Stone look - same as a frozen gargoyle (see GargoylePlayer.applyFrozenVisual)
+  color: PLAYERS.gargoyle.frozen,
+  roughness: 1.0,
+  metalness: 0.0
+};
+
+class Statues {
+  constructor() {
+    this.scene = null;
+    this.statues = [];
+    this.vacantSpots = [];
+    
+    // Loaded gargoyle model (null = capsule placeholders)
+    this.model = null;
+    
+    // Shared stone material
+    this.material = new THREE.MeshStandardMaterial({
+      color: STATUE_CONFIG.color,
+      roughness: STATUE_CONFIG.roughness,
+      metalness: STATUE_CONFIG.metalness
+    });
+    
+    // Random seed
+    this.randomSeed = Date.now();
+  }
+  
+  /**
+   * Initialize with scene reference
+   * @param {THREE.Scene} scene
+   */
+  init(scene) {
+    this.scene = scene;
+    console.log('Statues system initialized');
+  }
+  
+  /**
+   * Place statues on a selection of candidate spots
+   * @param {object} spots - { plaza, rooftop, ledge } arrays of { x, y, z, rotation }
+   * @param {number} seed - Seed for the selection
+   * @returns {number} Number of statues placed
+   */
+  generate(spots, seed) {
+    this.clear();
+    this.randomSeed = seed;
+    
+    const taken = [];
+    
+    for (const [kind, count] of Object.entries(STATUE_CONFIG.counts)) {
+      const candidates = this.shuffleArray([...(spots[kind] || [])]);
+      const wanted = count + STATUE_CONFIG.disguiseSpots;
+      let placed = 0;
+      
+      for (const spot of candidates) {
+        if (placed >= wanted) break;
+        
+        const tooClose = taken.some(t =>
+          Math.hypot(t.x - spot.x, t.z - spot.z) < STATUE_CONFIG.minDistanceBetween
+        );
+        if (tooClose) continue;
+        
+        taken.push(spot);
+        placed++;
+        
+        // Fill the statue quota first, then keep the rest free for disguises
+        if (placed <= count) {
+          this.createStatue(spot, kind);
+        } else {
+          this.vacantSpots.push({ ...spot, kind });
+        }
+      }
+    }
+    
+    console.log(`Statues: Placed ${this.statues.length} (${this.vacantSpots.length} spots free for disguises)`);
+    return this.statues.length;
+  }
+  
+  /**
+   * Create a single statue
+   * @param {object} spot - { x, y, z, rotation }
+   * @param {string} kind - 'plaza', 'rooftop' or 'ledge'
+   * @returns {object} Statue entry
+   */
+  createStatue(spot, kind) {
+    const group = new THREE.Group();
+    group.name = `statue_${this.statues.length}_${kind}`;
+    group.position.set(spot.x, spot.y, spot.z);
+    group.rotation.y = spot.rotation + STATUE_CONFIG.modelRotationOffset;
+    group.add(this.createBody());
+    
+    this.scene.add(group);
+    
+    const id = meshRegistry.register(group, MeshCategory.PROP, {
+      name: group.name,
+      needsPhysics: false, // Capsule collider created below
+      isStatic: true,
+      metadata: { kind }
+    });
+    
+    // Solid, like the gargoyle it pretends to be
+    const halfHeight = STATUE_CONFIG.height / 2 - STATUE_CONFIG.radius;
+    const physics = physicsMeshers.createCapsuleCollider(
+      STATUE_CONFIG.radius,
+      halfHeight,
+      new THREE.Vector3(spot.x, spot.y + STATUE_CONFIG.height / 2, spot.z),
+      { isStatic: true, name: group.name }
+    );
+    
+    if (physics) {
+      meshRegistry.linkPhysicsBody(id, physics.body, physics.colliders);
+    }
+    
+    const statue = {
+      id,
+      group,
+      kind,
+      body: physics ? physics.body : null
+    };
+    
+    this.statues.push(statue);
+    return statue;
+  }
+  
+  /**
+   * Build the statue body - the gargoyle model if loaded, else the gargoyle placeholder capsule
+   * @returns {THREE.Object3D}
+   */
+  createBody() {
+    if (!this.model) {
+      const geometry = new THREE.CapsuleGeometry(
+        STATUE_CONFIG.radius,
+        STATUE_CONFIG.height - STATUE_CONFIG.radius * 2,
+        8,
+        16
+      );
+      const mesh = new THREE.Mesh(geometry, this.material);
+      mesh.position.y = STATUE_CONFIG.height / 2;
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      return mesh;
+    }
+    
+    const body = cloneSkinned(this.model);
+    body.traverse((child) => {
+      if (child.isMesh) {
+        child.material = this.material;
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
+    return body;
+  }
+  
+  /**
+   * Load the gargoyle model and swap it in for the placeholder capsules
+   * @param {string} modelPath - Same GLB the gargoyles use
+   * @returns {Promise}
+   */
+  async loadModel(modelPath) {
+    const loader = new GLTFLoader();
+    
+    try {
+      const gltf = await loader.loadAsync(modelPath);
+      const model = gltf.scene;
+      
+      // Scale and seat the model exactly like Player.loadModel
+      const box = new THREE.Box3().setFromObject(model);
+      const size = new THREE.Vector3();
+      box.getSize(size);
+      model.scale.setScalar(STATUE_CONFIG.height / size.y);
+      
+      box.setFromObject(model);
+      model.position.y = -box.min.y;
+      
+      this.model = model;
+    } catch (error) {
+      console.warn('Statues: failed to load model, keeping placeholders:', error);
+      return;
+    }
+    
+    for (const statue of this.statues) {
+      const old = statue.group.children[0];
+      statue.group.remove(old);
+      if (old.isMesh) old.geometry.dispose();
+      statue.group.add(this.createBody());
+    }
+    
+    console.log(`Statues: Model loaded for ${this.statues.length} statues`);
+  }
+  
+  // ============================================
+  // Disguises
+  // ============================================
+  
+  /**
+   * Pick free statue spots for gargoyles to start a round disguised in
+   * @param {number} count - Number of gargoyles
+   * @param {number} seed - Seed for the picks (same seed, same disguises)
+   * @returns {Array<object|null>} Spot { x, y, z, rotation, kind } per gargoyle, null = normal spawn
+   */
+  getDisguiseSpots(count, seed) {
+    this.randomSeed = seed;
+    
+    const free = this.shuffleArray([...this.vacantSpots]);
+    const spots = [];
+    
+    for (let i = 0; i < count; i++) {
+      const disguised = this.random() < STATUE_CONFIG.disguiseChance;
+      spots.push(disguised && free.length > 0 ? free.pop() : null);
+    }
+    
+    return spots;
+  }
+  
+  // ============================================
+  // Accessors
+  // ============================================
+  
+  /**
+   * Statue groups - they block line of sight like buildings
+   * @returns {THREE.Object3D[]}
+   */
+  getObstacles() {
+    return this.statues.map(s => s.group);
+  }
+  
+  // ============================================
+  // Utilities
+  // ============================================
+  
+  /**
+   * Set random seed
+   */
+  setSeed(seed) {
+    this.randomSeed = seed;
+  }
+  
+  /**
+   * Seeded random number generator
+   */
+  random() {
+    this.randomSeed = (this.randomSeed * 9301 + 49297) % 233280;
+    return this.randomSeed / 233280;
+  }
+  
+  /**
+   * Shuffle array in place
+   */
+  shuffleArray(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+  
+  // ============================================
+  // Cleanup
+  // ============================================
+  
+  /**
+   * Remove all statues
+   */
+  clear() {
+    for (const statue of this.statues) {
+      if (this.scene) {
+        this.scene.remove(statue.group);
+      }
+      statue.group.traverse((child) => {
+        if (child.isMesh && !this.model) child.geometry?.dispose();
+      });
+      
+      physicsMeshers.removeBody(statue.body);
+      meshRegistry.unregister(statue.id);
+    }
+    
+    this.statues = [];
+    this.vacantSpots = [];
+  }
+  
+  getDebugInfo() {
+    return {
+      statues: this.statues.length,
+      vacantSpots: this.vacantSpots.length
+    };
+  }
+}
+
+// Export singleton
+const statues = new Statues();
+export default statues;
+export { Statues, STATUE_CONFIG };
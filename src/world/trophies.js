@@ -12,7 +12,7 @@ const TROPHY_CONFIG = {
   // Spawn settings
   minTrophies: 5,
   maxTrophies: 10,
-  minDistanceFromCenter: 20,
+  minDistanceFromSpawn: 20,  // Keep away from the target's spawn
   minDistanceBetween: 15,
   spawnHeight: 1,
   
@@ -27,7 +27,8 @@ const TROPHY_CONFIG = {
   bobHeight: 0.3,           // Bob amplitude
   
   // Collection
-  collectRadius: 2          // How close player needs to be
+  collectRadius: 2,         // How close player needs to be
+  collectDuration: 0.3      // Seconds for the collect shrink-away animation
 };
 
 class Trophies {
@@ -37,6 +38,9 @@ class Trophies {
     this.collectedCount = 0;
     this.totalCount = 0;
     
+    // Random seed
+    this.randomSeed = Date.now();
+    
     // Callbacks
     this.onCollect = null;
     this.onAllCollected = null;
@@ -133,38 +137,36 @@ class Trophies {
   }
   
   /**
-   * Spawn trophies around the map
-   * @param {object} mapBounds - { minX, maxX, minZ, maxZ }
-   * @param {Set} occupiedCells - Cells occupied by buildings
+   * Spawn trophies on open map cells
+   * @param {object[]} spawnCells - Candidate world positions { x, z } (cell centers)
    * @param {number} count - Number of trophies (optional)
+   * @param {object} avoidPosition - Keep trophies away from this { x, z } (optional)
    */
-  spawnTrophies(mapBounds, occupiedCells, count = null) {
+  spawnTrophies(spawnCells, count = null, avoidPosition = null) {
     const numTrophies = count || this.randomInt(
       TROPHY_CONFIG.minTrophies,
       TROPHY_CONFIG.maxTrophies
     );
     
+    const origin = avoidPosition || { x: 0, z: 0 };
+    const candidates = spawnCells.slice();
+    this.shuffleArray(candidates);
+    
     const positions = [];
-    let attempts = 0;
-    const maxAttempts = numTrophies * 20;
     
-    while (positions.length < numTrophies && attempts < maxAttempts) {
-      attempts++;
-      
-      // Random position within bounds
-      const x = this.randomRange(mapBounds.minX + 10, mapBounds.maxX - 10);
-      const z = this.randomRange(mapBounds.minZ + 10, mapBounds.maxZ - 10);
+    for (const cell of candidates) {
+      if (positions.length >= numTrophies) break;
       
-      // Check distance from center
-      const distFromCenter = Math.sqrt(x * x + z * z);
-      if (distFromCenter < TROPHY_CONFIG.minDistanceFromCenter) {
+      // Check distance from spawn
+      const distFromSpawn = Math.sqrt((cell.x - origin.x) ** 2 + (cell.z - origin.z) ** 2);
+      if (distFromSpawn < TROPHY_CONFIG.minDistanceFromSpawn) {
         continue;
       }
       
       // Check distance from other trophies
       let tooClose = false;
       for (const pos of positions) {
-        const dist = Math.sqrt((x - pos.x) ** 2 + (z - pos.z) ** 2);
+        const dist = Math.sqrt((cell.x - pos.x) ** 2 + (cell.z - pos.z) ** 2);
         if (dist < TROPHY_CONFIG.minDistanceBetween) {
           tooClose = true;
           break;
@@ -172,13 +174,7 @@ class Trophies {
       }
       if (tooClose) continue;
       
-      // Check if position is in occupied cell (building)
-      const cellKey = `${Math.floor(x / 5)},${Math.floor(z / 5)}`;
-      if (occupiedCells.has(cellKey)) {
-        continue;
-      }
-      
-      positions.push({ x, z });
+      positions.push({ x: cell.x, z: cell.z });
     }
     
     // Create trophies at positions
@@ -278,40 +274,40 @@ class Trophies {
    * @param {THREE.Group} trophy
    */
   animateCollection(trophy) {
-    // Simple removal after short delay
-    // Could be enhanced with GSAP or custom animation
-    const startScale = trophy.scale.x;
-    const duration = 0.3;
-    const startTime = performance.now();
-    
-    const animate = () => {
-      const elapsed = (performance.now() - startTime) / 1000;
-      const progress = Math.min(elapsed / duration, 1);
-      
-      // Scale down
-      const scale = startScale * (1 - progress);
-      trophy.scale.setScalar(scale);
-      
-      // Move up
-      trophy.position.y = trophy.userData.spawnY + progress * 2;
-      
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      } else {
-        // Remove from scene
-        this.scene.remove(trophy);
-        
-        // Dispose
-        trophy.traverse((child) => {
-          if (child.isMesh) {
-            child.geometry?.dispose();
-            child.material?.dispose();
-          }
-        });
-      }
-    };
+    // Driven by update() so it follows game time (and runs headless)
+    trophy.userData.collectTime = 0;
+    trophy.userData.collectScale = trophy.scale.x;
+  }
+  
+  /**
+   * Advance a collected trophy's shrink-away animation
+   * @param {THREE.Group} trophy
+   * @param {number} deltaTime
+   */
+  updateCollection(trophy, deltaTime) {
+    if (!trophy.parent) return;
+    
+    trophy.userData.collectTime += deltaTime;
+    const progress = Math.min(trophy.userData.collectTime / TROPHY_CONFIG.collectDuration, 1);
     
-    animate();
+    // Scale down
+    trophy.scale.setScalar(trophy.userData.collectScale * (1 - progress));
+    
+    // Move up
+    trophy.position.y = trophy.userData.spawnY + progress * 2;
+    
+    if (progress >= 1) {
+      // Remove from scene
+      this.scene.remove(trophy);
+      
+      // Dispose
+      trophy.traverse((child) => {
+        if (child.isMesh) {
+          child.geometry?.dispose();
+          child.material?.dispose();
+        }
+      });
+    }
   }
   
   /**
@@ -321,7 +317,10 @@ class Trophies {
    */
   update(deltaTime, elapsedTime) {
     for (const trophy of this.trophies) {
-      if (trophy.userData.collected) continue;
+      if (trophy.userData.collected) {
+        this.updateCollection(trophy, deltaTime);
+        continue;
+      }
       
       // Rotate
       trophy.rotation.y += TROPHY_CONFIG.rotationSpeed * deltaTime;
@@ -364,11 +363,27 @@ class Trophies {
       .map(t => t.position.clone());
   }
   
+  /**
+   * Set the random seed used for trophy placement
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.randomSeed = seed;
+  }
+  
+  /**
+   * Seeded random number generator
+   */
+  random() {
+    this.randomSeed = (this.randomSeed * 9301 + 49297) % 233280;
+    return this.randomSeed / 233280;
+  }
+  
   /**
    * Random number in range
    */
   randomRange(min, max) {
-    return Math.random() * (max - min) + min;
+    return this.random() * (max - min) + min;
   }
   
   /**
@@ -378,6 +393,16 @@ class Trophies {
     return Math.floor(this.randomRange(min, max + 1));
   }
   
+  /**
+   * Shuffle array in place
+   */
+  shuffleArray(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.randomInt(0, i);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+  }
+  
   /**
    * Clear all trophies
    */